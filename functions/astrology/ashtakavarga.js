@@ -0,0 +1,111 @@
+const {ashtakavarga} = require("./constants");
+
+const {ASHTAKAVARGA_CONTRIBUTORS, BINDU_TABLE, EKADHIPATYA_PAIRS} =
+  ashtakavarga;
+
+const SAV_PLANETS = [
+  "Sun",
+  "Moon",
+  "Mars",
+  "Mercury",
+  "Jupiter",
+  "Venus",
+  "Saturn",
+];
+
+// Bindus per sign (index 0 = Aries) in one planet's Bhinnashtakavarga.
+// `signs` holds the D1 sign of each graha and of the Ascendant.
+const buildBhinnashtakavarga = (planet, signs) => {
+  const bindus = Array(12).fill(0);
+  ASHTAKAVARGA_CONTRIBUTORS.forEach((contributor) => {
+    const from = contributor === "Lagna" ?
+      signs.Ascendant :
+      signs[contributor];
+    BINDU_TABLE[planet][contributor].forEach((house) => {
+      bindus[(from - 1 + house - 1) % 12] += 1;
+    });
+  });
+  return bindus;
+};
+
+// Within each triplicity: no change if any sign is empty, all cleared when
+// equal, otherwise the minimum is removed from each.
+const trikonaShodhana = (bindus) => {
+  const reduced = bindus.slice();
+  for (let start = 0; start < 4; start += 1) {
+    const trine = [start, start + 4, start + 8];
+    const values = trine.map((index) => reduced[index]);
+    if (values.includes(0)) continue;
+    const min = Math.min(...values);
+    const allEqual = values.every((value) => value === min);
+    trine.forEach((index) => {
+      reduced[index] = allEqual ? 0 : reduced[index] - min;
+    });
+  }
+  return reduced;
+};
+
+// Reduction between two signs of the same lord, depending on which of them
+// hold planets.
+const ekadhipatyaShodhana = (bindus, occupied) => {
+  const reduced = bindus.slice();
+  EKADHIPATYA_PAIRS.forEach(([a, b]) => {
+    const i = a - 1;
+    const j = b - 1;
+    if (reduced[i] === 0 || reduced[j] === 0) return;
+    const occI = occupied.has(a);
+    const occJ = occupied.has(b);
+    if (occI && occJ) return;
+    if (!occI && !occJ) {
+      if (reduced[i] === reduced[j]) {
+        reduced[i] = 0;
+        reduced[j] = 0;
+      } else {
+        const min = Math.min(reduced[i], reduced[j]);
+        reduced[i] = min;
+        reduced[j] = min;
+      }
+      return;
+    }
+    const [full, empty] = occI ? [i, j] : [j, i];
+    reduced[empty] = reduced[full] < reduced[empty] ? reduced[full] : 0;
+  });
+  return reduced;
+};
+
+const buildAshtakavarga = (signs) => {
+  const bhinnashtakavarga = {};
+  SAV_PLANETS.concat("Lagna").forEach((planet) => {
+    bhinnashtakavarga[planet] = buildBhinnashtakavarga(planet, signs);
+  });
+
+  const sarvashtakavarga = Array(12).fill(0);
+  SAV_PLANETS.forEach((planet) => {
+    bhinnashtakavarga[planet].forEach((count, index) => {
+      sarvashtakavarga[index] += count;
+    });
+  });
+
+  const occupied = new Set(SAV_PLANETS.map((planet) => signs[planet]));
+  const trikona = {};
+  const ekadhipatya = {};
+  SAV_PLANETS.forEach((planet) => {
+    trikona[planet] = trikonaShodhana(bhinnashtakavarga[planet]);
+    ekadhipatya[planet] = ekadhipatyaShodhana(trikona[planet], occupied);
+  });
+
+  return {
+    bhinnashtakavarga,
+    sarvashtakavarga,
+    sarvashtakavarga_total: sarvashtakavarga.reduce((a, b) => a + b, 0),
+    trikona_shodhana: trikona,
+    ekadhipatya_shodhana: ekadhipatya,
+  };
+};
+
+module.exports = {
+  buildBhinnashtakavarga,
+  trikonaShodhana,
+  ekadhipatyaShodhana,
+  buildAshtakavarga,
+};
@@ -1,58 +1,274 @@
 const {
   SEI_FLG_HELIO,
+  SEI_FLG_EMBHEL,
   SEI_SUN,
   SEI_MOON,
+  SEI_MERCURY,
+  SEI_VENUS,
+  SEI_MARS,
+  SEI_JUPITER,
+  SEI_SATURN,
+  SEI_SUNBARY,
+  EARTH_MOON_MRAT,
 } = require("../ephemeris/SwissEphemerisFile");
-const {zodiac, dasha, tithi} = require("./constants");
 const {
+  zodiac,
+  dasha,
+  tithi,
+  ayanamsha,
+  combustion,
+  drishti,
+} = require("./constants");
+const {
+  J2000,
   normalizeDegrees,
+  deltaT,
+  meanObliquity,
+  greenwichSiderealTime,
+  ascendantLongitude,
+  midheavenLongitude,
+  generalPrecession,
+  precessEquatorial,
+  equatorialToEclipticLongitude,
   meanNodeLongitude,
+  toEclipticOfDate,
   toEclipticLongitude,
 } = require("./math");
+const {validationError} = require("./errors");
 
-const {SIGN_NAMES, NAKSHATRA_NAMES, DIGNITY_TABLE} = zodiac;
+const {SIGN_NAMES, NAKSHATRA_NAMES, SIGN_LORDS, DIGNITY_TABLE} = zodiac;
 const {DASA_LORDS, DASA_YEARS} = dasha;
 const {TITHI_NAMES} = tithi;
+const {AYANAMSHA_SYSTEMS, AYANAMSHA_ALIASES, SPICA_J2000} = ayanamsha;
+const {COMBUSTION_ORBS} = combustion;
+const {
+  GRAHA_DRISHTI_HOUSES,
+  NODE_DRISHTI_HOUSES,
+  SPECIAL_DRISHTI_VIRUPAS,
+} = drishti;
 
 const getSign = (degrees) => Math.floor(normalizeDegrees(degrees) / 30) + 1;
 const getDegInSign = (degrees) => normalizeDegrees(degrees) % 30;
 
-const getLahiriAyanamsha = (jd) => {
-  const T = (jd - 2415020.0) / 36525.0;
-  return 22.460148 + 1.396042 * T + 0.000308 * T * T;
+const precessedAyanamsha = (jd, epoch, value) =>
+  value + generalPrecession(jd) - generalPrecession(epoch);
+
+const getSpicaLongitude = (jd) => {
+  const years = (jd - J2000) / 365.25;
+  const masToDeg = 1 / 3600000;
+  const dec = SPICA_J2000.dec + SPICA_J2000.pmDec * years * masToDeg;
+  const ra = SPICA_J2000.ra + (SPICA_J2000.pmRa * years * masToDeg) /
+    Math.cos(SPICA_J2000.dec * (Math.PI / 180));
+  const ofDate = precessEquatorial(ra, dec, jd);
+  return equatorialToEclipticLongitude(
+      ofDate.ra,
+      ofDate.dec,
+      meanObliquity(jd),
+  );
+};
+
+// `selection` is a system id from AYANAMSHA_SYSTEMS (or an alias), or a
+// user-defined {epoch, value, rate} with epoch as a Julian Day, value in
+// degrees and rate in arcseconds per Julian year.
+const getAyanamsha = (jd, selection = "lahiri") => {
+  if (selection && typeof selection === "object") {
+    const epoch = Number(selection.epoch);
+    const value = Number(selection.value);
+    const rate = Number(selection.rate);
+    if (![epoch, value, rate].every(Number.isFinite)) {
+      throw validationError(
+          "User-defined ayanamsha requires numeric epoch, value and rate",
+          {field: "ayanamsha", reason: "invalid-custom-ayanamsha"},
+      );
+    }
+    return {
+      id: "user_defined",
+      name: selection.name ? String(selection.name) : "User-defined",
+      value: value + (rate * (jd - epoch)) / 365.25 / 3600,
+    };
+  }
+
+  const key = String(selection).toLowerCase().replace(/[\s-]+/g, "_");
+  const id = AYANAMSHA_ALIASES[key] || key;
+  const system = AYANAMSHA_SYSTEMS[id];
+  if (!system) {
+    throw validationError(`Unknown ayanamsha: ${selection}`, {
+      field: "ayanamsha",
+      reason: "unknown-ayanamsha",
+      supported: Object.keys(AYANAMSHA_SYSTEMS),
+    });
+  }
+  const value = system.star ?
+    normalizeDegrees(getSpicaLongitude(jd) - 180) :
+    precessedAyanamsha(jd, system.epoch, system.value);
+  return {id, name: system.name, value};
 };
 
-const getPlanetLongitude = (ipli, jd, ephemerisCache) => {
+const getLahiriAyanamsha = (jd) => getAyanamsha(jd, "lahiri").value;
+
+// Barycentric positions of a body and of the Earth in AU, J2000 equator.
+// In sepl_18 body 0 (SEI_SUN in file numbering, the EMB) is the
+// barycentric Earth-Moon barycenter; body 10 is the barycentric Sun, or
+// with SEI_FLG_EMBHEL the heliocentric EMB from which it is derived. Bodies
+// flagged SEI_FLG_HELIO (Mercury to Mars) are heliocentric; Jupiter to
+// Pluto are barycentric. The frame transformations are linear, so
+// velocities combine exactly as positions do.
+const combineBarycentric = (ipli, tt, ephemerisCache, method) => {
   const planetFile = ephemerisCache.planet;
-  const moonFile = ephemerisCache.moon;
+  const moonVec = ephemerisCache.moon[method](SEI_MOON, tt);
+  const embBary = planetFile[method](SEI_SUN, tt);
+  const earth = embBary.map(
+      (v, i) => v - moonVec[i] / (EARTH_MOON_MRAT + 1),
+  );
   if (ipli === SEI_MOON) {
-    const moonVec = moonFile.evaluate(SEI_MOON, jd);
-    return toEclipticLongitude(moonVec, jd);
+    return {earth, body: earth.map((v, i) => v + moonVec[i])};
+  }
+  const sunFileVec = planetFile[method](SEI_SUNBARY, tt);
+  const sunBary = planetFile.getIfFlags(SEI_SUNBARY) & SEI_FLG_EMBHEL ?
+    embBary.map((v, i) => v - sunFileVec[i]) :
+    sunFileVec;
+  let body = sunBary;
+  if (ipli !== SEI_SUN) {
+    const planetVec = planetFile[method](ipli, tt);
+    body = planetFile.getIfFlags(ipli) & SEI_FLG_HELIO ?
+      planetVec.map((v, i) => v + sunBary[i]) :
+      planetVec;
+  }
+  return {earth, body};
+};
+
+// Light travel time for one astronomical unit, in days.
+const LIGHT_DAYS_PER_AU = 499.004784 / 86400;
+
+const toTerrestrialTime = (jd) => jd + deltaT(jd) / 86400;
+
+// Apparent geocentric position of a body in AU, J2000 equator, at the UT
+// Julian Day `jd`: corrected for light-time and annual aberration.
+const getGeocentricVector = (ipli, jd, ephemerisCache) => {
+  const tt = toTerrestrialTime(jd);
+  const {earth} = combineBarycentric(ipli, tt, ephemerisCache, "evaluate");
+  const earthVelocity = combineBarycentric(
+      ipli,
+      tt,
+      ephemerisCache,
+      "evaluateSpeed",
+  ).earth;
+  let lightTime = 0;
+  let geocentric;
+  for (let i = 0; i < 3; i += 1) {
+    const {body} = combineBarycentric(
+        ipli,
+        tt - lightTime,
+        ephemerisCache,
+        "evaluate",
+    );
+    geocentric = body.map((v, k) => v - earth[k]);
+    lightTime = Math.hypot(...geocentric) * LIGHT_DAYS_PER_AU;
+  }
+  return geocentric.map((v, i) => v + lightTime * earthVelocity[i]);
+};
+
+// Geometric geocentric velocity in AU per day.
+const getGeocentricVelocity = (ipli, jd, ephemerisCache) => {
+  const {earth, body} = combineBarycentric(
+      ipli,
+      toTerrestrialTime(jd),
+      ephemerisCache,
+      "evaluateSpeed",
+  );
+  return body.map((v, i) => v - earth[i]);
+};
+
+const getPlanetLongitude = (ipli, jd, ephemerisCache) =>
+  toEclipticLongitude(getGeocentricVector(ipli, jd, ephemerisCache), jd);
+
+// Daily motion of the apparent longitude, degrees per day. A central
+// difference of apparent positions keeps light-time and aberration in the
+// motion, so stations fall where the apparent longitude turns.
+const getPlanetSpeed = (ipli, jd, ephemerisCache) => {
+  const step = 1e-3;
+  const delta = getPlanetLongitude(ipli, jd + step, ephemerisCache) -
+    getPlanetLongitude(ipli, jd - step, ephemerisCache);
+  return (normalizeDegrees(delta + 180) - 180) / (2 * step);
+};
+
+const isCombust = (planet, siderealLongitude, sunLongitude, retrograde) => {
+  const orbs = COMBUSTION_ORBS[planet];
+  if (!orbs) return false;
+  const orb = retrograde && orbs.retrograde ? orbs.retrograde : orbs.direct;
+  const separation = Math.abs(
+      normalizeDegrees(siderealLongitude - sunLongitude + 180) - 180,
+  );
+  return separation <= orb;
+};
+
+// Houses counted from its own sign that a body aspects fully; Rahu and
+// Ketu follow the chosen school in NODE_DRISHTI_HOUSES.
+const getGrahaDrishtiHouses = (planet, nodeAspects = "none") => {
+  if (!NODE_DRISHTI_HOUSES[nodeAspects]) {
+    throw validationError(`Unknown node aspects: ${nodeAspects}`, {
+      field: "nodeAspects",
+      reason: "unknown-node-aspects",
+      supported: Object.keys(NODE_DRISHTI_HOUSES),
+    });
   }
-  const earthVec = planetFile.evaluate(SEI_SUN, jd);
-  if (ipli === SEI_SUN) {
-    return toEclipticLongitude(earthVec.map((v) => -v), jd);
+  if (planet === "Rahu" || planet === "Ketu") {
+    return NODE_DRISHTI_HOUSES[nodeAspects];
   }
-  const planetVec = planetFile.evaluate(ipli, jd);
-  const iflg = planetFile.getIfFlags(ipli);
-  if (iflg & SEI_FLG_HELIO) {
-    const geoVec = planetVec.map((v, i) => v - earthVec[i]);
-    return toEclipticLongitude(geoVec, jd);
+  return GRAHA_DRISHTI_HOUSES[planet] || [];
+};
+
+// Parashari sphuta drishti in virupas cast by `planet` on a point
+// `distance` degrees ahead of it. The general curve peaks at 60 in the
+// seventh; special aspects are raised to full strength at their houses
+// and never beyond it. Rahu and Ketu given trinal aspects take Jupiter's
+// strengths in the fifth and ninth. A body with no aspects casts none.
+const getDrishtiVirupas = (planet, distance, nodeAspects = "none") => {
+  const houses = getGrahaDrishtiHouses(planet, nodeAspects);
+  if (!houses.length) return 0;
+  const d = normalizeDegrees(distance);
+  let value = 0;
+  if (d >= 30 && d < 60) value = (d - 30) / 2;
+  else if (d >= 60 && d < 90) value = d - 60 + 15;
+  else if (d >= 90 && d < 120) value = (120 - d) / 2 + 30;
+  else if (d >= 120 && d < 150) value = 150 - d;
+  else if (d >= 150 && d < 180) value = (d - 150) * 2;
+  else if (d >= 180 && d < 300) value = (300 - d) / 2;
+
+  const house = Math.floor(d / 30) + 1;
+  if (houses.includes(house)) {
+    value = Math.min(60, value + (SPECIAL_DRISHTI_VIRUPAS[house] || 0));
+  }
+  return value;
+};
+
+// Jaimini rashi drishti: movable signs aspect the fixed signs except the
+// one next to them, fixed signs the movable signs except the one before
+// them, and dual signs one another.
+const getRashiDrishtiSigns = (sign) => {
+  const nature = (sign - 1) % 3;
+  const signs = Array.from({length: 12}, (_, index) => index + 1);
+  if (nature === 2) {
+    return signs.filter((other) => other !== sign && (other - 1) % 3 === 2);
   }
-  return toEclipticLongitude(planetVec, jd);
+  const adjacent = nature === 0 ? (sign % 12) + 1 : ((sign + 10) % 12) + 1;
+  return signs.filter((other) =>
+    (other - 1) % 3 === 1 - nature && other !== adjacent);
 };
 
 const getNavamshaSign = (sign, deg) => {
   const div = Math.floor(deg / (30 / 9));
-  let start = 1;
-  if ([2, 5, 8, 11].includes(sign)) start = 10;
-  else if ([3, 6, 9, 12].includes(sign)) start = 7;
+  // Movable signs count from themselves, fixed from the 9th, dual from the
+  // 5th.
+  let start = sign;
+  if ([2, 5, 8, 11].includes(sign)) start = ((sign + 7) % 12) + 1;
+  else if ([3, 6, 9, 12].includes(sign)) start = ((sign + 3) % 12) + 1;
   return ((start - 1 + div) % 12) + 1;
 };
 
 const getDashamshaSign = (sign, deg) => {
   const div = Math.floor(deg / 3);
-  const start = (sign % 2 === 1) ? sign : ((sign + 8) % 12) + 1;
+  const start = (sign % 2 === 1) ? sign : ((sign + 7) % 12) + 1;
   return ((start - 1 + div) % 12) + 1;
 };
 
@@ -72,6 +288,47 @@ const getNakshatraDetails = (siderealLongitude) => {
   };
 };
 
+// The part of `span` degrees holding `offset`, when the span is divided
+// among the nine Vimshottari lords in proportion to their years, starting
+// from `firstLord`.
+const findVimshottariPart = (firstLord, offset, span) => {
+  const first = DASA_LORDS.indexOf(firstLord);
+  let start = 0;
+  for (let i = 0; i < DASA_LORDS.length; i += 1) {
+    const lord = DASA_LORDS[(first + i) % DASA_LORDS.length];
+    const length = (span * DASA_YEARS[lord]) / 120;
+    if (offset < start + length || i === DASA_LORDS.length - 1) {
+      return {lord, start, length};
+    }
+    start += length;
+  }
+  return null;
+};
+
+// Krishnamurti lords of a sidereal longitude: the sign lord, the star
+// (nakshatra) lord, and the sub and sub-sub lords from dividing the
+// nakshatra and then its sub in Vimshottari proportions.
+const getKpLords = (siderealLongitude) => {
+  const {index, degreesIntoNakshatra} = getNakshatraDetails(siderealLongitude);
+  const starLord = DASA_LORDS[index % DASA_LORDS.length];
+  const sub = findVimshottariPart(
+      starLord,
+      degreesIntoNakshatra,
+      360 / 27,
+  );
+  const subSub = findVimshottariPart(
+      sub.lord,
+      degreesIntoNakshatra - sub.start,
+      sub.length,
+  );
+  return {
+    sign_lord: SIGN_LORDS[getSign(siderealLongitude) - 1],
+    star_lord: starLord,
+    sub_lord: sub.lord,
+    sub_sub_lord: subSub.lord,
+  };
+};
+
 const formatDms = (deg) => {
   const totalSeconds = Math.round(deg * 3600);
   const degrees = Math.floor(totalSeconds / 3600);
@@ -84,24 +341,93 @@ const formatDms = (deg) => {
   ].join("");
 };
 
+// Paksha and name of a tithi by index, 0 (Shukla Pratipada) to 29
+// (Amavasya).
+const getTithiName = (tithiIndex) => ({
+  paksha: tithiIndex < 15 ? "Shukla" : "Krishna",
+  name: tithiIndex === 29 ? "Amavasya" : TITHI_NAMES[tithiIndex % 15],
+});
+
 const getTithi = (moonLongitude, sunLongitude) => {
   const diff = normalizeDegrees(moonLongitude - sunLongitude);
-  const tithiIndex = Math.floor(diff / 12);
-  const phase = diff < 180 ? "Shukla" : "Krishna";
-  const name = TITHI_NAMES[tithiIndex % 15];
-  return `${phase} ${name}`;
+  const {paksha, name} = getTithiName(Math.floor(diff / 12));
+  return `${paksha} ${name}`;
+};
+
+const TEMPORAL_FRIEND_HOUSES = [2, 3, 4, 10, 11, 12];
+const RELATIONSHIPS = [
+  "great_enemy",
+  "enemy",
+  "neutral",
+  "friend",
+  "great_friend",
+];
+const STATUS_LABELS = {
+  exalted: "Exalted",
+  moolatrikona: "Moolatrikona",
+  own: "Own",
+  great_friend: "Great Friend",
+  friend: "Friend",
+  neutral: "Neutral",
+  enemy: "Enemy",
+  great_enemy: "Great Enemy",
+  debilitated: "Debilitated",
+};
+
+const getNaturalRelationship = (planet, other) => {
+  const {friends, enemies} = DIGNITY_TABLE[planet];
+  if (friends.includes(other)) return "friend";
+  if (enemies.includes(other)) return "enemy";
+  return "neutral";
 };
 
-const getVikramSamvatYear = (date) => date.getUTCFullYear() + 57;
+// Tatkalika relationship: planets in the 2nd, 3rd, 4th, 10th, 11th and 12th
+// from a planet are its temporary friends; `signs` holds the D1 signs.
+const getTemporalRelationship = (planet, other, signs) => {
+  const house = ((signs[other] - signs[planet] + 12) % 12) + 1;
+  return TEMPORAL_FRIEND_HOUSES.includes(house) ? "friend" : "enemy";
+};
+
+// Panchadha (five-fold) relationship combining the natural and temporary
+// relationships. Without chart signs only the natural one is available.
+const getCompoundRelationship = (planet, other, signs) => {
+  const score = {friend: 1, neutral: 0, enemy: -1};
+  const natural = getNaturalRelationship(planet, other);
+  if (!signs || !signs[planet] || !signs[other]) return natural;
+  const temporal = getTemporalRelationship(planet, other, signs);
+  return RELATIONSHIPS[score[natural] + score[temporal] + 2];
+};
 
-const getPlanetStatus = (planet, sign) => {
+const getDeepExaltationLongitude = (planet) => {
   const dignity = DIGNITY_TABLE[planet];
-  if (!dignity) return "Friend";
-  if (dignity.debilitation === sign) return "Debil.";
-  if (dignity.exaltation === sign) return "Great Friend";
-  if (dignity.own.includes(sign)) return "Own";
-  if (dignity.enemies.includes(sign)) return "Enemy";
-  return "Friend";
+  return (dignity.exaltation - 1) * 30 + dignity.deepExaltation;
+};
+
+const getDeepDebilitationLongitude = (planet) => {
+  const dignity = DIGNITY_TABLE[planet];
+  return (dignity.debilitation - 1) * 30 + dignity.deepDebilitation;
+};
+
+// Dignity of a graha from its D1 sign and degree. Where exaltation and
+// moolatrikona share a sign (Moon, Mercury) the degree decides; otherwise
+// the compound relationship with the sign lord applies.
+const getPlanetDignity = (planet, sign, degInSign = 0, signs) => {
+  const dignity = DIGNITY_TABLE[planet];
+  if (!dignity) return null;
+  const mt = dignity.moolatrikona;
+  const pastMoolatrikonaStart = mt.sign === sign && degInSign >= mt.from;
+  if (dignity.exaltation === sign && !pastMoolatrikonaStart) {
+    return "exalted";
+  }
+  if (pastMoolatrikonaStart && degInSign < mt.to) return "moolatrikona";
+  if (dignity.debilitation === sign) return "debilitated";
+  if (dignity.own.includes(sign)) return "own";
+  return getCompoundRelationship(planet, SIGN_LORDS[sign - 1], signs);
+};
+
+const getPlanetStatus = (planet, sign, degInSign, signs) => {
+  const dignity = getPlanetDignity(planet, sign, degInSign, signs);
+  return dignity ? STATUS_LABELS[dignity] : "N/A";
 };
 
 const buildVimshottariDasha = (moonLongitude) => {
@@ -161,45 +487,153 @@ const buildVimshottariDasha = (moonLongitude) => {
   };
 };
 
-const buildSripatiBhava = (ascendantLongitude) => {
-  const bhavas = [];
-  for (let house = 1; house <= 12; house += 1) {
-    const madhya = normalizeDegrees(ascendantLongitude + (house - 1) * 30);
-    const arambha = normalizeDegrees(madhya - 15);
-    const antya = normalizeDegrees(madhya + 15);
-    bhavas.push({
-      house,
-      arambha: arambha,
-      madhya: madhya,
-      antya: antya,
-    });
-  }
-  return bhavas;
-};
+const buildSripatiBhava = (ascendantLongitude, midheavenLongitude) => {
+  const asc = normalizeDegrees(ascendantLongitude);
+  const mc = normalizeDegrees(midheavenLongitude);
+  const quadrantCusps = [asc, normalizeDegrees(mc + 180),
+    normalizeDegrees(asc + 180), mc];
+
+  // Each quadrant between the angles is trisected into three bhava madhyas.
+  const madhyas = [];
+  quadrantCusps.forEach((start, quadrant) => {
+    const end = quadrantCusps[(quadrant + 1) % 4];
+    const arc = normalizeDegrees(end - start);
+    for (let step = 0; step < 3; step += 1) {
+      madhyas.push(normalizeDegrees(start + (arc * step) / 3));
+    }
+  });
 
-const getNodesSidereal = (jd, ayanamsha) => {
-  const rahuTropical = normalizeDegrees(
-      meanNodeLongitude(jd) * (180 / Math.PI),
+  const sandhi = (from, to) => normalizeDegrees(
+      from + normalizeDegrees(to - from) / 2,
   );
+  return madhyas.map((madhya, index) => ({
+    house: index + 1,
+    arambha: sandhi(madhyas[(index + 11) % 12], madhya),
+    madhya,
+    antya: sandhi(madhya, madhyas[(index + 1) % 12]),
+  }));
+};
+
+const NODE_TYPES = ["mean", "true"];
+
+// Osculating node: the ascending node of the orbit defined by the Moon's
+// instantaneous geocentric position and velocity at the UT Julian Day `jd`.
+const getTrueNodeLongitude = (jd, ephemerisCache) => {
+  const moonFile = ephemerisCache.moon;
+  const tt = toTerrestrialTime(jd);
+  const r = moonFile.evaluate(SEI_MOON, tt);
+  const v = moonFile.evaluateSpeed(SEI_MOON, tt);
+  const angularMomentum = [
+    r[1] * v[2] - r[2] * v[1],
+    r[2] * v[0] - r[0] * v[2],
+    r[0] * v[1] - r[1] * v[0],
+  ];
+  const pole = toEclipticOfDate(angularMomentum, jd);
+  return normalizeDegrees(pole.lon + 90);
+};
+
+const getNodesSidereal = (jd, ayanamsha, nodeType = "mean", ephemerisCache) => {
+  if (!NODE_TYPES.includes(nodeType)) {
+    throw validationError(`Unknown node type: ${nodeType}`, {
+      field: "nodeType",
+      reason: "unknown-node-type",
+      supported: NODE_TYPES,
+    });
+  }
+  const rahuTropical = nodeType === "true" ?
+    getTrueNodeLongitude(jd, ephemerisCache) :
+    normalizeDegrees(meanNodeLongitude(jd) * (180 / Math.PI));
   const rahuSidereal = normalizeDegrees(rahuTropical - ayanamsha);
   const ketuSidereal = normalizeDegrees(rahuSidereal + 180);
   return {rahuSidereal, ketuSidereal};
 };
 
+// Daily motion of the nodes in degrees per day. The mean node always
+// regresses; the true node, from a central difference, at times moves
+// forward.
+const getNodeSpeed = (jd, nodeType = "mean", ephemerisCache) => {
+  const longitude = (t) => (nodeType === "true" ?
+    getTrueNodeLongitude(t, ephemerisCache) :
+    meanNodeLongitude(t) * (180 / Math.PI));
+  const step = 1e-2;
+  const delta = longitude(jd + step) - longitude(jd - step);
+  return (normalizeDegrees(delta + 180) - 180) / (2 * step);
+};
+
+const GRAHA_IDS = {
+  Sun: SEI_SUN,
+  Moon: SEI_MOON,
+  Mercury: SEI_MERCURY,
+  Venus: SEI_VENUS,
+  Mars: SEI_MARS,
+  Jupiter: SEI_JUPITER,
+  Saturn: SEI_SATURN,
+};
+
+// Sidereal longitudes of the nine grahas, keyed by name.
+const getSiderealLongitudes = (jd, ayanamsha, ephemerisCache,
+    nodeType = "mean") => {
+  const longitudes = {};
+  Object.keys(GRAHA_IDS).forEach((name) => {
+    longitudes[name] = normalizeDegrees(
+        getPlanetLongitude(GRAHA_IDS[name], jd, ephemerisCache) - ayanamsha,
+    );
+  });
+  const {rahuSidereal, ketuSidereal} = getNodesSidereal(
+      jd,
+      ayanamsha,
+      nodeType,
+      ephemerisCache,
+  );
+  longitudes.Rahu = rahuSidereal;
+  longitudes.Ketu = ketuSidereal;
+  return longitudes;
+};
+
+const getSiderealAngles = (jd, lat, lng, ayanamsha) => {
+  const lst = normalizeDegrees(greenwichSiderealTime(jd) + lng);
+  const eps = meanObliquity(jd);
+  return {
+    ascendant: normalizeDegrees(ascendantLongitude(lst, eps, lat) - ayanamsha),
+    midheaven: normalizeDegrees(midheavenLongitude(lst, eps) - ayanamsha),
+  };
+};
+
 module.exports = {
   SIGN_NAMES,
   getSign,
   getDegInSign,
+  getAyanamsha,
   getLahiriAyanamsha,
+  getGeocentricVector,
+  getGeocentricVelocity,
   getPlanetLongitude,
+  getPlanetSpeed,
+  isCombust,
+  getGrahaDrishtiHouses,
+  getDrishtiVirupas,
+  getRashiDrishtiSigns,
   getNavamshaSign,
   getDashamshaSign,
   getNakshatraDetails,
+  findVimshottariPart,
+  getKpLords,
   formatDms,
+  getTithiName,
   getTithi,
-  getVikramSamvatYear,
+  getNaturalRelationship,
+  getTemporalRelationship,
+  getCompoundRelationship,
+  getDeepExaltationLongitude,
+  getDeepDebilitationLongitude,
+  getPlanetDignity,
   getPlanetStatus,
   buildVimshottariDasha,
   buildSripatiBhava,
+  getTrueNodeLongitude,
   getNodesSidereal,
+  getNodeSpeed,
+  GRAHA_IDS,
+  getSiderealLongitudes,
+  getSiderealAngles,
 };
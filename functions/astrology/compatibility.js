@@ -0,0 +1,266 @@
+const {compatibility, zodiac} = require("./constants");
+const {
+  getSign,
+  getDegInSign,
+  getNakshatraDetails,
+  getNaturalRelationship,
+} = require("./calculations");
+
+const {
+  AVAKHADA_MAP,
+  KOOTA_MAX,
+  SIGN_VARNA,
+  VARNA_RANK,
+  SIGN_VASHYA,
+  VASHYA_POINTS,
+  INAUSPICIOUS_TARAS,
+  YONI_NAMES,
+  YONI_POINTS,
+  MAITRI_POINTS,
+  GANA_POINTS,
+  BHAKOOT_DOSHA_DISTANCES,
+  MANGLIK_HOUSES,
+} = compatibility;
+const {SIGN_NAMES, SIGN_LORDS} = zodiac;
+
+const countSigns = (from, to) => ((to - from + 12) % 12) + 1;
+
+// Moon sign, nakshatra and the Avakhada attributes used in matching.
+const describeMoon = (moonLongitude) => {
+  const sign = getSign(moonLongitude);
+  const nakshatra = getNakshatraDetails(moonLongitude);
+  const half = getDegInSign(moonLongitude) < 15 ? 0 : 1;
+  const avakhada = AVAKHADA_MAP[nakshatra.index];
+  return {
+    sign,
+    signName: SIGN_NAMES[sign - 1],
+    lord: SIGN_LORDS[sign - 1],
+    nakshatra,
+    varna: SIGN_VARNA[sign - 1],
+    vashya: SIGN_VASHYA[sign - 1][half],
+    yoni: avakhada.yoni,
+    gana: avakhada.gana,
+    nadi: avakhada.nadi,
+  };
+};
+
+const koota = (name, points, bride, groom, explanation) => ({
+  points,
+  max: KOOTA_MAX[name],
+  bride,
+  groom,
+  explanation,
+});
+
+const scoreVarna = (bride, groom) => {
+  const points = VARNA_RANK[groom.varna] >= VARNA_RANK[bride.varna] ? 1 : 0;
+  return koota("varna", points, bride.varna, groom.varna, points ?
+    "Groom's varna is equal to or higher than the bride's" :
+    "Bride's varna is higher than the groom's");
+};
+
+const scoreVashya = (bride, groom) => {
+  const points = VASHYA_POINTS[groom.vashya][bride.vashya];
+  let explanation = "Vashya groups are hostile";
+  if (points === 2) explanation = "Same vashya group";
+  else if (points > 0) explanation = "Vashya groups are partly compatible";
+  return koota("vashya", points, bride.vashya, groom.vashya, explanation);
+};
+
+const taraFrom = (from, to) => ((to - from + 27) % 27) % 9 + 1;
+
+const scoreTara = (bride, groom) => {
+  const brideToGroom = taraFrom(bride.nakshatra.index, groom.nakshatra.index);
+  const groomToBride = taraFrom(groom.nakshatra.index, bride.nakshatra.index);
+  const good = [brideToGroom, groomToBride].filter(
+      (tara) => !INAUSPICIOUS_TARAS.includes(tara),
+  ).length;
+  return koota("tara", good * 1.5, bride.nakshatra.name, groom.nakshatra.name,
+      `Tara ${brideToGroom} from the bride and ${groomToBride} from the ` +
+      `groom; ${good} of 2 auspicious`);
+};
+
+const scoreYoni = (bride, groom) => {
+  const points = YONI_POINTS[YONI_NAMES.indexOf(groom.yoni)][
+      YONI_NAMES.indexOf(bride.yoni)
+  ];
+  let explanation = "Yonis are neutral";
+  if (points === 4) explanation = "Same yoni";
+  else if (points === 3) explanation = "Yonis are friendly";
+  else if (points === 0) explanation = "Yonis are sworn enemies";
+  else if (points === 1) explanation = "Yonis are inimical";
+  return koota("yoni", points, bride.yoni, groom.yoni, explanation);
+};
+
+const scoreGrahaMaitri = (bride, groom) => {
+  let points = 5;
+  let explanation = "Both Moon signs share a lord";
+  if (bride.lord !== groom.lord) {
+    const towardsGroom = getNaturalRelationship(bride.lord, groom.lord);
+    const towardsBride = getNaturalRelationship(groom.lord, bride.lord);
+    points = MAITRI_POINTS[[towardsGroom, towardsBride].sort().join("-")];
+    explanation = `${bride.lord} is ${towardsGroom} to ${groom.lord}, ` +
+      `${groom.lord} is ${towardsBride} to ${bride.lord}`;
+  }
+  return koota("graha_maitri", points, bride.lord, groom.lord, explanation);
+};
+
+const scoreGana = (bride, groom) => {
+  const points = GANA_POINTS[groom.gana][bride.gana];
+  let explanation = "Ganas are incompatible";
+  if (points === 6) explanation = "Ganas are compatible";
+  else if (points > 1) explanation = "Ganas are mostly compatible";
+  return koota("gana", points, bride.gana, groom.gana, explanation);
+};
+
+const scoreBhakoot = (bride, groom) => {
+  const distances = [
+    countSigns(bride.sign, groom.sign),
+    countSigns(groom.sign, bride.sign),
+  ];
+  const dosha = BHAKOOT_DOSHA_DISTANCES.some(
+      (pair) => pair.includes(distances[0]) && pair.includes(distances[1]),
+  );
+  const description = `${distances[0]}/${distances[1]}`;
+  return koota("bhakoot", dosha ? 0 : 7, bride.signName, groom.signName,
+      dosha ?
+        `Moon signs are ${description} from each other (Bhakoot dosha)` :
+        `Moon signs are ${description} from each other`);
+};
+
+const scoreNadi = (bride, groom) => {
+  const dosha = bride.nadi === groom.nadi;
+  return koota("nadi", dosha ? 0 : 8, bride.nadi, groom.nadi, dosha ?
+    "Same nadi (Nadi dosha)" :
+    "Different nadis");
+};
+
+// Standard cancellations of Nadi dosha, from the Moon signs and nakshatras.
+const getNadiCancellations = (bride, groom) => {
+  const reasons = [];
+  const sameNakshatra = bride.nakshatra.index === groom.nakshatra.index;
+  if (bride.sign === groom.sign && !sameNakshatra) {
+    reasons.push("Same Moon sign with different nakshatras");
+  }
+  if (sameNakshatra && bride.sign !== groom.sign) {
+    reasons.push("Same nakshatra with different Moon signs");
+  }
+  if (sameNakshatra && bride.nakshatra.pada !== groom.nakshatra.pada) {
+    reasons.push("Same nakshatra in different padas");
+  }
+  if (bride.lord === groom.lord && bride.sign !== groom.sign) {
+    reasons.push("Moon signs share a lord");
+  }
+  return reasons;
+};
+
+const getBhakootCancellations = (bride, groom) => {
+  const reasons = [];
+  if (bride.lord === groom.lord) {
+    reasons.push("Moon signs share a lord");
+  } else if (
+    getNaturalRelationship(bride.lord, groom.lord) === "friend" &&
+    getNaturalRelationship(groom.lord, bride.lord) === "friend"
+  ) {
+    reasons.push("Moon sign lords are mutual friends");
+  }
+  return reasons;
+};
+
+const getVerdict = (total) => {
+  if (total < 18) return "Not recommended";
+  if (total <= 24) return "Average";
+  if (total <= 32) return "Good";
+  return "Excellent";
+};
+
+// Guna Milan between two charts from their sidereal Moon longitudes. The
+// total is the classical score; `adjusted_total` restores the points of a
+// Nadi or Bhakoot dosha that is cancelled.
+const buildAshtakoota = (brideMoon, groomMoon) => {
+  const bride = describeMoon(brideMoon);
+  const groom = describeMoon(groomMoon);
+  const kootas = {
+    varna: scoreVarna(bride, groom),
+    vashya: scoreVashya(bride, groom),
+    tara: scoreTara(bride, groom),
+    yoni: scoreYoni(bride, groom),
+    graha_maitri: scoreGrahaMaitri(bride, groom),
+    gana: scoreGana(bride, groom),
+    bhakoot: scoreBhakoot(bride, groom),
+    nadi: scoreNadi(bride, groom),
+  };
+
+  const doshas = {};
+  [
+    ["nadi", getNadiCancellations],
+    ["bhakoot", getBhakootCancellations],
+  ].forEach(([name, getCancellations]) => {
+    const present = kootas[name].points === 0;
+    const cancellations = present ? getCancellations(bride, groom) : [];
+    doshas[name] = {
+      present,
+      cancelled: cancellations.length > 0,
+      cancellations,
+    };
+  });
+
+  const total = Object.values(kootas).reduce(
+      (sum, entry) => sum + entry.points,
+      0,
+  );
+  const restored = Object.keys(doshas)
+      .filter((name) => doshas[name].cancelled)
+      .reduce((sum, name) => sum + KOOTA_MAX[name], 0);
+
+  return {
+    kootas,
+    total,
+    max: 36,
+    doshas,
+    adjusted_total: total + restored,
+    verdict: getVerdict(total + restored),
+  };
+};
+
+// Kuja dosha from D1 signs of Mars, Moon, Venus and Jupiter and, when the
+// birth place is known, the Ascendant. The lagna decides when available,
+// otherwise the Moon.
+const buildManglik = (signs) => {
+  const references = {
+    lagna: signs.Ascendant,
+    moon: signs.Moon,
+    venus: signs.Venus,
+  };
+  const houses = {};
+  Object.keys(references).forEach((name) => {
+    if (!references[name]) return;
+    const house = countSigns(references[name], signs.Mars);
+    houses[`from_${name}`] = {
+      house,
+      afflicted: MANGLIK_HOUSES.includes(house),
+    };
+  });
+  const deciding = houses.from_lagna || houses.from_moon;
+
+  const cancellations = [];
+  if ([1, 8].includes(signs.Mars)) cancellations.push("Mars in its own sign");
+  if (signs.Mars === 10) cancellations.push("Mars exalted in Capricorn");
+  if (signs.Mars === signs.Jupiter) {
+    cancellations.push("Mars conjunct Jupiter");
+  }
+
+  const present = deciding.afflicted;
+  return {
+    ...houses,
+    dosha_present: present,
+    cancellations: present ? cancellations : [],
+    is_manglik: present && cancellations.length === 0,
+  };
+};
+
+module.exports = {
+  describeMoon,
+  buildAshtakoota,
+  buildManglik,
+};
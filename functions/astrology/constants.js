@@ -67,6 +67,115 @@ const DASA_YEARS = {
   Mercury: 17,
 };
 
+const DASA_SYSTEMS = ["vimshottari", "yogini", "ashtottari", "chara"];
+
+// Deepest level each system expands to. Shorter cycles repeat more often
+// over 120 years and Chara periods split twelve ways, so their timelines
+// grow fastest; deeper levels would exceed a callable response.
+const DASA_MAX_DEPTHS = {
+  vimshottari: 5,
+  yogini: 4,
+  ashtottari: 4,
+  chara: 3,
+};
+
+const YOGINI_LORDS = [
+  "Mangala",
+  "Pingala",
+  "Dhanya",
+  "Bhramari",
+  "Bhadrika",
+  "Ulka",
+  "Siddha",
+  "Sankata",
+];
+
+const YOGINI_YEARS = {
+  Mangala: 1,
+  Pingala: 2,
+  Dhanya: 3,
+  Bhramari: 4,
+  Bhadrika: 5,
+  Ulka: 6,
+  Siddha: 7,
+  Sankata: 8,
+};
+
+const YOGINI_PLANETS = {
+  Mangala: "Moon",
+  Pingala: "Sun",
+  Dhanya: "Jupiter",
+  Bhramari: "Mars",
+  Bhadrika: "Mercury",
+  Ulka: "Saturn",
+  Siddha: "Venus",
+  Sankata: "Rahu",
+};
+
+const ASHTOTTARI_LORDS = [
+  "Sun",
+  "Moon",
+  "Mars",
+  "Mercury",
+  "Saturn",
+  "Jupiter",
+  "Rahu",
+  "Venus",
+];
+
+const ASHTOTTARI_YEARS = {
+  Sun: 6,
+  Moon: 15,
+  Mars: 8,
+  Mercury: 17,
+  Saturn: 10,
+  Jupiter: 19,
+  Rahu: 12,
+  Venus: 21,
+};
+
+// Nakshatra groups ruled by each Ashtottari lord, as [start, end) sidereal
+// longitudes. Abhijit (276°40' to 280°53'20") belongs to Saturn's group.
+const ASHTOTTARI_GROUPS = [
+  {lord: "Sun", bounds: [66 + 2 / 3, 80, 93 + 1 / 3, 106 + 2 / 3, 120]},
+  {lord: "Moon", bounds: [120, 133 + 1 / 3, 146 + 2 / 3, 160]},
+  {lord: "Mars", bounds: [160, 173 + 1 / 3, 186 + 2 / 3, 200, 213 + 1 / 3]},
+  {lord: "Mercury", bounds: [213 + 1 / 3, 226 + 2 / 3, 240, 253 + 1 / 3]},
+  {
+    lord: "Saturn",
+    bounds: [253 + 1 / 3, 266 + 2 / 3, 276 + 2 / 3, 280 + 8 / 9, 293 + 1 / 3],
+  },
+  {lord: "Jupiter", bounds: [293 + 1 / 3, 306 + 2 / 3, 320, 333 + 1 / 3]},
+  {
+    lord: "Rahu",
+    bounds: [333 + 1 / 3, 346 + 2 / 3, 360, 373 + 1 / 3, 386 + 2 / 3],
+  },
+  {lord: "Venus", bounds: [26 + 2 / 3, 40, 53 + 1 / 3, 66 + 2 / 3]},
+];
+
+// Jaimini Chara dasha: signs counted forward (savya) or backward (apasavya)
+// when measuring the distance from a sign to its lord.
+const CHARA_SAVYA_SIGNS = [1, 2, 3, 7, 8, 9];
+const CHARA_CO_LORDS = {
+  8: "Ketu",
+  11: "Rahu",
+};
+
+const DASA_LEVELS = [
+  "mahadasha",
+  "antardasha",
+  "pratyantardasha",
+  "sookshma",
+  "prana",
+];
+
+// Days per dasha year: savana (360), Julian (365.25) or sidereal.
+const DASA_YEAR_LENGTHS = {
+  "360": 360,
+  "365.25": 365.25,
+  "sidereal": 365.256363004,
+};
+
 const TITHI_NAMES = [
   "Pratipada",
   "Dwitiya",
@@ -85,6 +194,331 @@ const TITHI_NAMES = [
   "Purnima",
 ];
 
+const YOGA_NAMES = [
+  "Vishkambha",
+  "Priti",
+  "Ayushman",
+  "Saubhagya",
+  "Shobhana",
+  "Atiganda",
+  "Sukarma",
+  "Dhriti",
+  "Shula",
+  "Ganda",
+  "Vriddhi",
+  "Dhruva",
+  "Vyaghata",
+  "Harshana",
+  "Vajra",
+  "Siddhi",
+  "Vyatipata",
+  "Variyan",
+  "Parigha",
+  "Shiva",
+  "Siddha",
+  "Sadhya",
+  "Shubha",
+  "Shukla",
+  "Brahma",
+  "Indra",
+  "Vaidhriti",
+];
+
+// The seven movable karanas repeat from the second half of Shukla
+// Pratipada; the four fixed ones occupy the remaining halves.
+const MOVABLE_KARANAS = [
+  "Bava",
+  "Balava",
+  "Kaulava",
+  "Taitila",
+  "Garaja",
+  "Vanija",
+  "Vishti",
+];
+const FIXED_KARANAS = {
+  0: "Kimstughna",
+  57: "Shakuni",
+  58: "Chatushpada",
+  59: "Naga",
+};
+
+const LUNAR_MONTHS = [
+  "Chaitra",
+  "Vaishakha",
+  "Jyeshtha",
+  "Ashadha",
+  "Shravana",
+  "Bhadrapada",
+  "Ashwin",
+  "Kartika",
+  "Margashirsha",
+  "Pausha",
+  "Magha",
+  "Phalguna",
+];
+
+const VARA_NAMES = [
+  "Ravivara",
+  "Somavara",
+  "Mangalavara",
+  "Budhavara",
+  "Guruvara",
+  "Shukravara",
+  "Shanivara",
+];
+
+// Ayanamsha systems anchored at a reference epoch (Julian Day) and carried
+// forward by general precession, as defined in the Swiss Ephemeris.
+const AYANAMSHA_SYSTEMS = {
+  lahiri: {
+    name: "Lahiri (Chitrapaksha)",
+    epoch: 2435553.5,
+    value: 23.245524743,
+  },
+  raman: {
+    name: "B.V. Raman",
+    epoch: 2415020.0,
+    value: 21.01444,
+  },
+  krishnamurti: {
+    name: "Krishnamurti (KP)",
+    epoch: 2415020.0,
+    value: 22.363889,
+  },
+  yukteshwar: {
+    name: "Sri Yukteshwar",
+    epoch: 2415020.0,
+    value: 21.082222,
+  },
+  fagan_bradley: {
+    name: "Fagan-Bradley",
+    epoch: 2433282.42346,
+    value: 24.042044444,
+  },
+  true_chitrapaksha: {
+    name: "True Chitrapaksha (Spica at 180°)",
+    star: "Spica",
+  },
+};
+
+const AYANAMSHA_ALIASES = {
+  kp: "krishnamurti",
+  fagan: "fagan_bradley",
+  true_chitra: "true_chitrapaksha",
+};
+
+// Spica (alpha Virginis), Hipparcos J2000 position and proper motion.
+const SPICA_J2000 = {
+  ra: 201.29824736,
+  dec: -11.16131949,
+  pmRa: -42.35,
+  pmDec: -30.67,
+};
+
+// Classical combustion orbs in degrees from the Sun; Mercury and Venus
+// have tighter orbs when retrograde.
+const COMBUSTION_ORBS = {
+  Moon: {direct: 12},
+  Mars: {direct: 17},
+  Mercury: {direct: 14, retrograde: 12},
+  Jupiter: {direct: 11},
+  Venus: {direct: 10, retrograde: 8},
+  Saturn: {direct: 15},
+};
+
+// Ashtakavarga benefic places (BPHS): for each planet's Bhinnashtakavarga,
+// the houses counted from each contributor that receive a bindu.
+const ASHTAKAVARGA_CONTRIBUTORS = [
+  "Sun",
+  "Moon",
+  "Mars",
+  "Mercury",
+  "Jupiter",
+  "Venus",
+  "Saturn",
+  "Lagna",
+];
+
+const BINDU_TABLE = {
+  Sun: {
+    Sun: [1, 2, 4, 7, 8, 9, 10, 11],
+    Moon: [3, 6, 10, 11],
+    Mars: [1, 2, 4, 7, 8, 9, 10, 11],
+    Mercury: [3, 5, 6, 9, 10, 11, 12],
+    Jupiter: [5, 6, 9, 11],
+    Venus: [6, 7, 12],
+    Saturn: [1, 2, 4, 7, 8, 9, 10, 11],
+    Lagna: [3, 4, 6, 10, 11, 12],
+  },
+  Moon: {
+    Sun: [3, 6, 7, 8, 10, 11],
+    Moon: [1, 3, 6, 7, 10, 11],
+    Mars: [2, 3, 5, 6, 9, 10, 11],
+    Mercury: [1, 3, 4, 5, 7, 8, 10, 11],
+    Jupiter: [1, 4, 7, 8, 10, 11, 12],
+    Venus: [3, 4, 5, 7, 9, 10, 11],
+    Saturn: [3, 5, 6, 11],
+    Lagna: [3, 6, 10, 11],
+  },
+  Mars: {
+    Sun: [3, 5, 6, 10, 11],
+    Moon: [3, 6, 11],
+    Mars: [1, 2, 4, 7, 8, 10, 11],
+    Mercury: [3, 5, 6, 11],
+    Jupiter: [6, 10, 11, 12],
+    Venus: [6, 8, 11, 12],
+    Saturn: [1, 4, 7, 8, 9, 10, 11],
+    Lagna: [1, 3, 6, 10, 11],
+  },
+  Mercury: {
+    Sun: [5, 6, 9, 11, 12],
+    Moon: [2, 4, 6, 8, 10, 11],
+    Mars: [1, 2, 4, 7, 8, 9, 10, 11],
+    Mercury: [1, 3, 5, 6, 9, 10, 11, 12],
+    Jupiter: [6, 8, 11, 12],
+    Venus: [1, 2, 3, 4, 5, 8, 9, 11],
+    Saturn: [1, 2, 4, 7, 8, 9, 10, 11],
+    Lagna: [1, 2, 4, 6, 8, 10, 11],
+  },
+  Jupiter: {
+    Sun: [1, 2, 3, 4, 7, 8, 9, 10, 11],
+    Moon: [2, 5, 7, 9, 11],
+    Mars: [1, 2, 4, 7, 8, 10, 11],
+    Mercury: [1, 2, 4, 5, 6, 9, 10, 11],
+    Jupiter: [1, 2, 3, 4, 7, 8, 10, 11],
+    Venus: [2, 5, 6, 9, 10, 11],
+    Saturn: [3, 5, 6, 12],
+    Lagna: [1, 2, 4, 5, 6, 7, 9, 10, 11],
+  },
+  Venus: {
+    Sun: [8, 11, 12],
+    Moon: [1, 2, 3, 4, 5, 8, 9, 11, 12],
+    Mars: [3, 5, 6, 9, 11, 12],
+    Mercury: [3, 5, 6, 9, 11],
+    Jupiter: [5, 8, 9, 10, 11],
+    Venus: [1, 2, 3, 4, 5, 8, 9, 10, 11],
+    Saturn: [3, 4, 5, 8, 9, 10, 11],
+    Lagna: [1, 2, 3, 4, 5, 8, 9, 11],
+  },
+  Saturn: {
+    Sun: [1, 2, 4, 7, 8, 10, 11],
+    Moon: [3, 6, 11],
+    Mars: [3, 5, 6, 10, 11, 12],
+    Mercury: [6, 8, 9, 10, 11, 12],
+    Jupiter: [5, 6, 11, 12],
+    Venus: [6, 11, 12],
+    Saturn: [3, 5, 6, 11],
+    Lagna: [1, 3, 4, 6, 10, 11],
+  },
+  Lagna: {
+    Sun: [3, 4, 6, 10, 11, 12],
+    Moon: [3, 6, 10, 11, 12],
+    Mars: [1, 3, 6, 10, 11],
+    Mercury: [1, 2, 4, 6, 8, 10, 11],
+    Jupiter: [1, 2, 4, 5, 6, 7, 9, 10, 11],
+    Venus: [1, 2, 3, 4, 5, 8, 9],
+    Saturn: [1, 3, 4, 6, 10, 11],
+    Lagna: [3, 6, 10, 11],
+  },
+};
+
+// Pairs of signs sharing a lord, reduced together in Ekadhipatya shodhana.
+const EKADHIPATYA_PAIRS = [[1, 8], [2, 7], [3, 6], [9, 12], [10, 11]];
+
+// Saptavargaja bala virupas by dignity in each of the seven vargas.
+const SAPTAVARGA_POINTS = {
+  moolatrikona: 45,
+  own: 30,
+  great_friend: 20,
+  friend: 15,
+  neutral: 10,
+  enemy: 4,
+  great_enemy: 2,
+};
+
+const SAPTAVARGA_CHARTS = ["D1", "D2", "D3", "D7", "D9", "D12", "D30"];
+
+// House in which each planet gains full directional strength.
+const DIG_BALA_HOUSE = {
+  Sun: 10,
+  Moon: 4,
+  Mars: 10,
+  Mercury: 1,
+  Jupiter: 1,
+  Venus: 4,
+  Saturn: 7,
+};
+
+// Drekkana (first, second, third) in which a planet gains 15 virupas.
+const DREKKANA_BALA = {
+  Sun: 0,
+  Moon: 2,
+  Mars: 0,
+  Mercury: 1,
+  Jupiter: 0,
+  Venus: 2,
+  Saturn: 1,
+};
+
+const NAISARGIKA_BALA = {
+  Sun: 60,
+  Moon: 51.43,
+  Venus: 42.86,
+  Jupiter: 34.29,
+  Mercury: 25.71,
+  Mars: 17.14,
+  Saturn: 8.57,
+};
+
+// Minimum Shadbala in rupas for a planet to be considered strong.
+const SHADBALA_REQUIRED = {
+  Sun: 5,
+  Moon: 6,
+  Mars: 5,
+  Mercury: 7,
+  Jupiter: 6.5,
+  Venus: 5.5,
+  Saturn: 5,
+};
+
+const WEEKDAY_LORDS = [
+  "Sun",
+  "Moon",
+  "Mars",
+  "Mercury",
+  "Jupiter",
+  "Venus",
+  "Saturn",
+];
+
+// Successive hora lords, descending Chaldean order from the Sun.
+const HORA_ORDER = [
+  "Sun",
+  "Venus",
+  "Mercury",
+  "Moon",
+  "Saturn",
+  "Jupiter",
+  "Mars",
+];
+
+// Bhava dig bala: the house where a sign's nature (nara, jalachara, keeta,
+// chatushpada) is strongest, as [first half, second half] of the sign.
+const BHAVA_DIG_HOUSE = {
+  1: [10, 10],
+  2: [10, 10],
+  3: [1, 1],
+  4: [4, 4],
+  5: [10, 10],
+  6: [1, 1],
+  7: [1, 1],
+  8: [7, 7],
+  9: [1, 10],
+  10: [10, 4],
+  11: [1, 1],
+  12: [4, 4],
+};
+
 const AVAKHADA_MAP = [
   {
     varna: "Kshatriya",
@@ -115,7 +549,7 @@ const AVAKHADA_MAP = [
     vashya: "Chatushpada",
     yoni: "Sarpa",
     gana: "Manushya",
-    nadi: "Adi",
+    nadi: "Antya",
     tatwa: "Prithvi",
   },
   {
@@ -131,7 +565,7 @@ const AVAKHADA_MAP = [
     vashya: "Manava",
     yoni: "Shwan",
     gana: "Manushya",
-    nadi: "Antya",
+    nadi: "Adi",
     tatwa: "Vayu",
   },
   {
@@ -163,7 +597,7 @@ const AVAKHADA_MAP = [
     vashya: "Manava",
     yoni: "Mushaka",
     gana: "Rakshasa",
-    nadi: "Adi",
+    nadi: "Antya",
     tatwa: "Agni",
   },
   {
@@ -179,7 +613,7 @@ const AVAKHADA_MAP = [
     vashya: "Manava",
     yoni: "Gau",
     gana: "Manushya",
-    nadi: "Antya",
+    nadi: "Adi",
     tatwa: "Agni",
   },
   {
@@ -211,7 +645,7 @@ const AVAKHADA_MAP = [
     vashya: "Manava",
     yoni: "Vyaghra",
     gana: "Rakshasa",
-    nadi: "Adi",
+    nadi: "Antya",
     tatwa: "Agni",
   },
   {
@@ -227,7 +661,7 @@ const AVAKHADA_MAP = [
     vashya: "Manava",
     yoni: "Mriga",
     gana: "Rakshasa",
-    nadi: "Antya",
+    nadi: "Adi",
     tatwa: "Jala",
   },
   {
@@ -259,7 +693,7 @@ const AVAKHADA_MAP = [
     vashya: "Vanachara",
     yoni: "Vanara",
     gana: "Deva",
-    nadi: "Adi",
+    nadi: "Antya",
     tatwa: "Jala",
   },
   {
@@ -275,7 +709,7 @@ const AVAKHADA_MAP = [
     vashya: "Rakshasa",
     yoni: "Ashwa",
     gana: "Rakshasa",
-    nadi: "Antya",
+    nadi: "Adi",
     tatwa: "Akasha",
   },
   {
@@ -297,79 +731,767 @@ const AVAKHADA_MAP = [
   {
     varna: "Vaishya",
     vashya: "Manava",
-    yoni: "Gau",
+    yoni: "Gaja",
     gana: "Deva",
     nadi: "Antya",
     tatwa: "Jala",
   },
 ];
 
+// Ashtakoota (Guna Milan) tables. Varna and vashya follow the Moon sign;
+// yoni, gana and nadi are read from AVAKHADA_MAP by Moon nakshatra.
+const KOOTA_MAX = {
+  varna: 1,
+  vashya: 2,
+  tara: 3,
+  yoni: 4,
+  graha_maitri: 5,
+  gana: 6,
+  bhakoot: 7,
+  nadi: 8,
+};
+
+const SIGN_VARNA = [
+  "Kshatriya",
+  "Vaishya",
+  "Shudra",
+  "Brahmin",
+  "Kshatriya",
+  "Vaishya",
+  "Shudra",
+  "Brahmin",
+  "Kshatriya",
+  "Vaishya",
+  "Shudra",
+  "Brahmin",
+];
+
+const VARNA_RANK = {
+  Brahmin: 4,
+  Kshatriya: 3,
+  Vaishya: 2,
+  Shudra: 1,
+};
+
+// Vashya of each sign as [first half, second half].
+const SIGN_VASHYA = [
+  ["Chatushpada", "Chatushpada"],
+  ["Chatushpada", "Chatushpada"],
+  ["Manava", "Manava"],
+  ["Jalachara", "Jalachara"],
+  ["Vanachara", "Vanachara"],
+  ["Manava", "Manava"],
+  ["Manava", "Manava"],
+  ["Keeta", "Keeta"],
+  ["Manava", "Chatushpada"],
+  ["Chatushpada", "Jalachara"],
+  ["Manava", "Manava"],
+  ["Jalachara", "Jalachara"],
+];
+
+// Vashya points, groom's vashya first.
+const VASHYA_POINTS = {
+  Chatushpada: {
+    Chatushpada: 2,
+    Manava: 1,
+    Jalachara: 1,
+    Vanachara: 0.5,
+    Keeta: 1,
+  },
+  Manava: {
+    Chatushpada: 1,
+    Manava: 2,
+    Jalachara: 0.5,
+    Vanachara: 0,
+    Keeta: 1,
+  },
+  Jalachara: {
+    Chatushpada: 1,
+    Manava: 0.5,
+    Jalachara: 2,
+    Vanachara: 1,
+    Keeta: 1,
+  },
+  Vanachara: {
+    Chatushpada: 0.5,
+    Manava: 0,
+    Jalachara: 1,
+    Vanachara: 2,
+    Keeta: 0,
+  },
+  Keeta: {
+    Chatushpada: 1,
+    Manava: 1,
+    Jalachara: 1,
+    Vanachara: 0,
+    Keeta: 2,
+  },
+};
+
+// Taras counted from one nakshatra to the other, modulo nine, that are
+// inauspicious: Vipat (3), Pratyak (5) and Naidhana (7).
+const INAUSPICIOUS_TARAS = [3, 5, 7];
+
+const YONI_NAMES = [
+  "Ashwa",
+  "Gaja",
+  "Mesh",
+  "Sarpa",
+  "Shwan",
+  "Marjara",
+  "Mushaka",
+  "Gau",
+  "Mahisha",
+  "Vyaghra",
+  "Mriga",
+  "Vanara",
+  "Nakula",
+  "Simha",
+];
+
+// Symmetric yoni points in YONI_NAMES order; sworn enemies score zero.
+const YONI_POINTS = [
+  [4, 2, 2, 3, 2, 2, 2, 1, 0, 1, 3, 3, 2, 1],
+  [2, 4, 3, 3, 2, 2, 2, 2, 3, 1, 2, 3, 2, 0],
+  [2, 3, 4, 2, 1, 2, 1, 3, 3, 1, 2, 0, 3, 1],
+  [3, 3, 2, 4, 2, 1, 1, 1, 1, 2, 2, 2, 0, 2],
+  [2, 2, 1, 2, 4, 2, 1, 2, 2, 1, 0, 2, 1, 1],
+  [2, 2, 2, 1, 2, 4, 0, 2, 2, 1, 3, 3, 2, 1],
+  [2, 2, 1, 1, 1, 0, 4, 2, 2, 2, 2, 2, 1, 2],
+  [1, 2, 3, 1, 2, 2, 2, 4, 3, 0, 3, 2, 2, 1],
+  [0, 3, 3, 1, 2, 2, 2, 3, 4, 1, 2, 2, 2, 1],
+  [1, 1, 1, 2, 1, 1, 2, 0, 1, 4, 1, 1, 2, 1],
+  [3, 2, 2, 2, 0, 3, 2, 3, 2, 1, 4, 2, 2, 1],
+  [3, 3, 0, 2, 2, 3, 2, 2, 2, 1, 2, 4, 3, 2],
+  [2, 2, 3, 0, 1, 2, 1, 2, 2, 2, 2, 3, 4, 2],
+  [1, 0, 1, 2, 1, 1, 2, 1, 1, 1, 1, 2, 2, 4],
+];
+
+// Graha maitri points from the two Moon sign lords' natural relationships
+// towards each other, keyed by the sorted pair.
+const MAITRI_POINTS = {
+  "friend-friend": 5,
+  "friend-neutral": 4,
+  "neutral-neutral": 3,
+  "enemy-friend": 1,
+  "enemy-neutral": 0.5,
+  "enemy-enemy": 0,
+};
+
+// Gana points, groom's gana first.
+const GANA_POINTS = {
+  Deva: {Deva: 6, Manushya: 6, Rakshasa: 1},
+  Manushya: {Deva: 5, Manushya: 6, Rakshasa: 0},
+  Rakshasa: {Deva: 1, Manushya: 0, Rakshasa: 6},
+};
+
+// Moon sign distances (counted both ways) that form Bhakoot dosha.
+const BHAKOOT_DOSHA_DISTANCES = [[2, 12], [5, 9], [6, 8]];
+
+// Houses from the lagna, Moon or Venus in which Mars causes Kuja dosha.
+const MANGLIK_HOUSES = [1, 2, 4, 7, 8, 12];
+
+const SIGN_LORDS = [
+  "Mars",
+  "Venus",
+  "Mercury",
+  "Moon",
+  "Sun",
+  "Mercury",
+  "Venus",
+  "Mars",
+  "Jupiter",
+  "Saturn",
+  "Saturn",
+  "Jupiter",
+];
+
+// Deep exaltation and debilitation are degrees within those signs, and the
+// moolatrikona range is in degrees of its sign. Friends, neutral and
+// enemies are the natural (Naisargika) relationships.
 const DIGNITY_TABLE = {
   Sun: {
     own: [5],
     exaltation: 1,
     debilitation: 7,
-    friends: [1, 4, 9],
-    enemies: [2, 10, 11, 6],
+    deepExaltation: 10,
+    deepDebilitation: 10,
+    moolatrikona: {sign: 5, from: 0, to: 20},
+    friends: ["Moon", "Mars", "Jupiter"],
+    neutral: ["Mercury"],
+    enemies: ["Venus", "Saturn"],
   },
   Moon: {
     own: [4],
     exaltation: 2,
     debilitation: 8,
-    friends: [1, 4, 5],
-    enemies: [9, 10, 11],
+    deepExaltation: 3,
+    deepDebilitation: 3,
+    moolatrikona: {sign: 2, from: 3, to: 30},
+    friends: ["Sun", "Mercury"],
+    neutral: ["Mars", "Jupiter", "Venus", "Saturn"],
+    enemies: [],
   },
   Mars: {
     own: [1, 8],
     exaltation: 10,
     debilitation: 4,
-    friends: [1, 4, 5],
-    enemies: [2, 6],
+    deepExaltation: 28,
+    deepDebilitation: 28,
+    moolatrikona: {sign: 1, from: 0, to: 12},
+    friends: ["Sun", "Moon", "Jupiter"],
+    neutral: ["Venus", "Saturn"],
+    enemies: ["Mercury"],
   },
   Mercury: {
     own: [3, 6],
     exaltation: 6,
     debilitation: 12,
-    friends: [3, 6, 7],
-    enemies: [5, 9],
+    deepExaltation: 15,
+    deepDebilitation: 15,
+    moolatrikona: {sign: 6, from: 15, to: 20},
+    friends: ["Sun", "Venus"],
+    neutral: ["Mars", "Jupiter", "Saturn"],
+    enemies: ["Moon"],
   },
   Jupiter: {
     own: [9, 12],
     exaltation: 4,
     debilitation: 10,
-    friends: [1, 4, 5],
-    enemies: [2, 6, 7],
+    deepExaltation: 5,
+    deepDebilitation: 5,
+    moolatrikona: {sign: 9, from: 0, to: 10},
+    friends: ["Sun", "Moon", "Mars"],
+    neutral: ["Saturn"],
+    enemies: ["Mercury", "Venus"],
   },
   Venus: {
     own: [2, 7],
     exaltation: 12,
     debilitation: 6,
-    friends: [2, 7, 10],
-    enemies: [5, 9],
+    deepExaltation: 27,
+    deepDebilitation: 27,
+    moolatrikona: {sign: 7, from: 0, to: 15},
+    friends: ["Mercury", "Saturn"],
+    neutral: ["Mars", "Jupiter"],
+    enemies: ["Sun", "Moon"],
   },
   Saturn: {
     own: [10, 11],
     exaltation: 7,
     debilitation: 1,
-    friends: [2, 6, 7],
-    enemies: [1, 4, 5],
+    deepExaltation: 20,
+    deepDebilitation: 20,
+    moolatrikona: {sign: 11, from: 0, to: 20},
+    friends: ["Mercury", "Venus"],
+    neutral: ["Jupiter"],
+    enemies: ["Sun", "Moon", "Mars"],
   },
 };
 
+// Eighth part of the day (1-8 from sunrise) ruled by Rahu, Yama and Gulika,
+// indexed by weekday from Sunday.
+const RAHU_KAAL_PARTS = [8, 2, 7, 5, 6, 4, 3];
+const YAMAGANDA_PARTS = [5, 4, 3, 2, 1, 7, 6];
+const GULIKA_PARTS = [7, 6, 5, 4, 3, 2, 1];
+
+// Dur muhurtas by weekday from Sunday, as numbers (1-15) of the day's and
+// the night's muhurtas.
+const DUR_MUHURTAS = [
+  {day: [14], night: []},
+  {day: [9, 12], night: []},
+  {day: [4], night: [7]},
+  {day: [8], night: []},
+  {day: [6, 12], night: []},
+  {day: [4, 9], night: []},
+  {day: [1, 2], night: []},
+];
+
+// Choghadiya named from its ruling planet. By day they follow HORA_ORDER
+// from the weekday lord; by night every fifth from the lord after it.
+const CHOGHADIYA_NAMES = {
+  Sun: "Udveg",
+  Venus: "Char",
+  Mercury: "Labh",
+  Moon: "Amrit",
+  Saturn: "Kaal",
+  Jupiter: "Shubh",
+  Mars: "Rog",
+};
+
+const CHOGHADIYA_NATURE = {
+  Udveg: "inauspicious",
+  Char: "neutral",
+  Labh: "auspicious",
+  Amrit: "auspicious",
+  Kaal: "inauspicious",
+  Shubh: "auspicious",
+  Rog: "inauspicious",
+};
+
+// Favourable transit houses from the natal Moon, each mapped to the vedha
+// house whose occupant obstructs it (Phaladeepika).
+const SATURN_VEDHA = {3: 12, 6: 9, 11: 5};
+const GOCHARA_VEDHA = {
+  Sun: {3: 9, 6: 12, 10: 4, 11: 5},
+  Moon: {1: 5, 3: 9, 6: 12, 7: 2, 10: 4, 11: 8},
+  Mars: {3: 12, 6: 9, 11: 5},
+  Mercury: {2: 5, 4: 3, 6: 9, 8: 1, 10: 8, 11: 12},
+  Jupiter: {2: 12, 5: 4, 7: 3, 9: 10, 11: 8},
+  Venus: {1: 8, 2: 7, 3: 1, 4: 10, 5: 9, 8: 5, 9: 11, 11: 6, 12: 3},
+  Saturn: SATURN_VEDHA,
+  Rahu: SATURN_VEDHA,
+  Ketu: SATURN_VEDHA,
+};
+
+// Father and son, and mother and son, do not obstruct each other.
+const VEDHA_EXEMPT_PAIRS = [
+  ["Sun", "Saturn"],
+  ["Moon", "Mercury"],
+];
+
+// Saturn's house from the natal Moon during each phase of Sade Sati.
+const SADE_SATI_PHASES = {12: "rising", 1: "peak", 2: "setting"};
+const KANTAKA_SHANI_HOUSES = [4, 7, 10];
+
+// Houses, counted from its own sign, that each graha aspects fully.
+const GRAHA_DRISHTI_HOUSES = {
+  Sun: [7],
+  Moon: [7],
+  Mercury: [7],
+  Venus: [7],
+  Mars: [4, 7, 8],
+  Jupiter: [5, 7, 9],
+  Saturn: [3, 7, 10],
+};
+
+// Rahu and Ketu aspects by school: none, the seventh only, or the fifth,
+// seventh and ninth as for Jupiter.
+const NODE_DRISHTI_HOUSES = {
+  none: [],
+  seventh: [7],
+  trinal: [5, 7, 9],
+};
+
+// Virupas added to the sphuta-drishti curve within a special aspect house,
+// bringing it to the full 60 at the start of that house. The sum is capped
+// at 60 where the curve rises through the house, as in Saturn's third.
+const SPECIAL_DRISHTI_VIRUPAS = {3: 45, 4: 15, 5: 30, 8: 15, 9: 30, 10: 45};
+
+// Yoga rules, read by astrology/yogas.js. `bind` names planets a rule is
+// tried for: a fixed list ({planets}), lords of houses from the lagna
+// ({lordOf}), or the dispositor or exaltation-sign lord of a planet bound
+// earlier ({dispositorOf}, {exaltationLordOf}). Every condition must hold;
+// planet fields take a planet name, a bound name, or "Ascendant".
+// Condition types:
+//   house       {planet, from, in}: house of `planet` counted from `from`
+//   dignity     {planet, in}: dignity names from getPlanetDignity
+//   lord        {planet, of}: `planet` rules one of these houses
+//   association {planets: [a, b], relations}: conjunction, exchange,
+//               aspect (either way) or mutual_aspect
+//   distinct    {planets}: bound planets are all different
+//   occupied    {from, houses, planets, min, max}: how many of `planets`
+//               are in these houses
+//   between_nodes {}: all seven grahas on one side of the Rahu-Ketu axis
+//   any         {conditions}: at least one of the nested conditions
+const SEVEN_GRAHAS = [
+  "Sun",
+  "Moon",
+  "Mars",
+  "Mercury",
+  "Jupiter",
+  "Venus",
+  "Saturn",
+];
+const TARA_GRAHAS = ["Mars", "Mercury", "Jupiter", "Venus", "Saturn"];
+const NATURAL_BENEFICS = ["Mercury", "Jupiter", "Venus"];
+const KENDRAS = [1, 4, 7, 10];
+const TRIKONAS = [1, 5, 9];
+const DUSTHANAS = [6, 8, 12];
+const ASSOCIATIONS = ["conjunction", "exchange", "mutual_aspect"];
+
+const MAHAPURUSHA_YOGAS = {
+  Mars: "Ruchaka",
+  Mercury: "Bhadra",
+  Jupiter: "Hamsa",
+  Venus: "Malavya",
+  Saturn: "Shasha",
+};
+
+const VIPARITA_YOGAS = {6: "Harsha", 8: "Sarala", 12: "Vimala"};
+
+const YOGA_RULES = [
+  ...Object.keys(MAHAPURUSHA_YOGAS).map((planet) => ({
+    name: MAHAPURUSHA_YOGAS[planet],
+    group: "Pancha Mahapurusha",
+    description: `${planet} in a kendra from the lagna in its own, ` +
+      "moolatrikona or exaltation sign",
+    conditions: [
+      {type: "house", planet, from: "Ascendant", in: KENDRAS},
+      {type: "dignity", planet, in: ["own", "moolatrikona", "exalted"]},
+    ],
+  })),
+  {
+    name: "Gajakesari",
+    group: "Chandra",
+    description: "Jupiter in a kendra from the Moon",
+    conditions: [
+      {type: "house", planet: "Jupiter", from: "Moon", in: KENDRAS},
+    ],
+  },
+  {
+    name: "Sunapha",
+    group: "Chandra",
+    description: "A planet other than the Sun in the 2nd from the Moon",
+    conditions: [
+      {type: "occupied", from: "Moon", houses: [2], planets: TARA_GRAHAS,
+        min: 1},
+    ],
+  },
+  {
+    name: "Anapha",
+    group: "Chandra",
+    description: "A planet other than the Sun in the 12th from the Moon",
+    conditions: [
+      {type: "occupied", from: "Moon", houses: [12], planets: TARA_GRAHAS,
+        min: 1},
+    ],
+  },
+  {
+    name: "Durudhara",
+    group: "Chandra",
+    description: "Planets other than the Sun in both the 2nd and 12th " +
+      "from the Moon",
+    conditions: [
+      {type: "occupied", from: "Moon", houses: [2], planets: TARA_GRAHAS,
+        min: 1},
+      {type: "occupied", from: "Moon", houses: [12], planets: TARA_GRAHAS,
+        min: 1},
+    ],
+  },
+  {
+    name: "Kemadruma",
+    group: "Chandra",
+    description: "No planet other than the Sun with the Moon or in the 2nd " +
+      "or 12th from it",
+    conditions: [
+      {type: "occupied", from: "Moon", houses: [1, 2, 12],
+        planets: TARA_GRAHAS, max: 0},
+    ],
+  },
+  {
+    name: "Adhi",
+    group: "Chandra",
+    description: "Mercury, Jupiter and Venus in the 6th, 7th or 8th from " +
+      "the Moon",
+    conditions: [
+      {type: "occupied", from: "Moon", houses: [6, 7, 8],
+        planets: NATURAL_BENEFICS, min: 3},
+    ],
+  },
+  {
+    name: "Chandra-Mangala",
+    group: "Chandra",
+    description: "The Moon and Mars in the same sign",
+    conditions: [
+      {type: "association", planets: ["Moon", "Mars"],
+        relations: ["conjunction"]},
+    ],
+  },
+  {
+    name: "Shakata",
+    group: "Chandra",
+    description: "The Moon in the 6th, 8th or 12th from Jupiter",
+    conditions: [
+      {type: "house", planet: "Moon", from: "Jupiter", in: DUSTHANAS},
+    ],
+  },
+  {
+    name: "Vesi",
+    group: "Surya",
+    description: "A planet other than the Moon in the 2nd from the Sun",
+    conditions: [
+      {type: "occupied", from: "Sun", houses: [2], planets: TARA_GRAHAS,
+        min: 1},
+    ],
+  },
+  {
+    name: "Vasi",
+    group: "Surya",
+    description: "A planet other than the Moon in the 12th from the Sun",
+    conditions: [
+      {type: "occupied", from: "Sun", houses: [12], planets: TARA_GRAHAS,
+        min: 1},
+    ],
+  },
+  {
+    name: "Budha-Aditya",
+    group: "Surya",
+    description: "The Sun and Mercury in the same sign",
+    conditions: [
+      {type: "association", planets: ["Sun", "Mercury"],
+        relations: ["conjunction"]},
+    ],
+  },
+  {
+    name: "Amala",
+    group: "Auspicious",
+    description: "A natural benefic in the 10th from the lagna",
+    conditions: [
+      {type: "occupied", from: "Ascendant", houses: [10],
+        planets: NATURAL_BENEFICS, min: 1},
+    ],
+  },
+  {
+    name: "Yogakaraka",
+    group: "Raja",
+    description: "One planet rules both a kendra and a trikona other than " +
+      "the lagna",
+    bind: {a: {lordOf: [4, 7, 10]}},
+    conditions: [
+      {type: "lord", planet: "a", of: [5, 9]},
+    ],
+  },
+  {
+    name: "Raja",
+    group: "Raja",
+    description: "A kendra lord conjunct, exchanging signs or in mutual " +
+      "aspect with a trikona lord",
+    bind: {a: {lordOf: KENDRAS}, b: {lordOf: TRIKONAS}},
+    conditions: [
+      {type: "distinct", planets: ["a", "b"]},
+      {type: "association", planets: ["a", "b"], relations: ASSOCIATIONS},
+    ],
+  },
+  {
+    name: "Dhana",
+    group: "Dhana",
+    description: "The lord of the 2nd or 11th conjunct, exchanging signs or " +
+      "in mutual aspect with the lord of the 5th or 9th",
+    bind: {a: {lordOf: [2, 11]}, b: {lordOf: [5, 9]}},
+    conditions: [
+      {type: "distinct", planets: ["a", "b"]},
+      {type: "association", planets: ["a", "b"], relations: ASSOCIATIONS},
+    ],
+  },
+  ...Object.keys(VIPARITA_YOGAS).map((house) => ({
+    name: VIPARITA_YOGAS[house],
+    group: "Viparita Raja",
+    description: `The lord of the ${house}th in the 6th, 8th or 12th`,
+    bind: {a: {lordOf: [Number(house)]}},
+    conditions: [
+      {type: "house", planet: "a", from: "Ascendant", in: DUSTHANAS},
+    ],
+  })),
+  {
+    name: "Neecha Bhanga Raja",
+    group: "Raja",
+    description: "A debilitated planet whose dispositor or exaltation-sign " +
+      "lord is in a kendra from the lagna or the Moon",
+    bind: {
+      a: {planets: SEVEN_GRAHAS},
+      b: {dispositorOf: "a"},
+      c: {exaltationLordOf: "a"},
+    },
+    conditions: [
+      {type: "dignity", planet: "a", in: ["debilitated"]},
+      {type: "any", conditions: [
+        {type: "house", planet: "b", from: "Ascendant", in: KENDRAS},
+        {type: "house", planet: "b", from: "Moon", in: KENDRAS},
+        {type: "house", planet: "c", from: "Ascendant", in: KENDRAS},
+        {type: "house", planet: "c", from: "Moon", in: KENDRAS},
+      ]},
+    ],
+  },
+  {
+    name: "Parivartana",
+    group: "Parivartana",
+    description: "Two planets in each other's signs",
+    bind: {a: {planets: SEVEN_GRAHAS}, b: {planets: SEVEN_GRAHAS}},
+    conditions: [
+      {type: "distinct", planets: ["a", "b"]},
+      {type: "association", planets: ["a", "b"], relations: ["exchange"]},
+    ],
+  },
+  {
+    name: "Guru-Chandala",
+    group: "Dosha",
+    description: "Jupiter and Rahu in the same sign",
+    conditions: [
+      {type: "association", planets: ["Jupiter", "Rahu"],
+        relations: ["conjunction"]},
+    ],
+  },
+  {
+    name: "Kala Sarpa",
+    group: "Dosha",
+    description: "All seven grahas on one side of the Rahu-Ketu axis",
+    conditions: [{type: "between_nodes"}],
+  },
+];
+
+// Chara karakas in order of descending degrees in sign. The eight-karaka
+// scheme counts Rahu and names a Pitrikaraka; the seven-karaka scheme
+// leaves both out.
+const CHARA_KARAKAS = {
+  7: [
+    "Atmakaraka",
+    "Amatyakaraka",
+    "Bhratrikaraka",
+    "Matrikaraka",
+    "Putrakaraka",
+    "Gnatikaraka",
+    "Darakaraka",
+  ],
+  8: [
+    "Atmakaraka",
+    "Amatyakaraka",
+    "Bhratrikaraka",
+    "Matrikaraka",
+    "Pitrikaraka",
+    "Putrakaraka",
+    "Gnatikaraka",
+    "Darakaraka",
+  ],
+};
+
+// Minutes after sunrise for each time-based special lagna to advance one
+// sign from the Sun's longitude at sunrise.
+const SPECIAL_LAGNA_MINUTES = {
+  bhava_lagna: 120,
+  hora_lagna: 60,
+  ghati_lagna: 24,
+};
+
+// Upagrahas counted from the Sun: Dhuma is 133°20' ahead of it, each of
+// Vyatipata, Parivesha and Indrachapa follows from the one before, and
+// Upaketu is 16°40' on from Indrachapa.
+const DHUMA_OFFSET = 133 + 1 / 3;
+const UPAKETU_OFFSET = 16 + 2 / 3;
+
+// Yogi point is the Sun and Moon plus 93°20'; Avayogi lies 186°40' on.
+const YOGI_OFFSET = 93 + 1 / 3;
+const AVAYOGI_OFFSET = 186 + 2 / 3;
+
+// Pranapada moves a sign every six minutes from sunrise, counted from the
+// Sun in a movable sign, the ninth from it in a fixed sign and the fifth
+// from it in a dual sign.
+const PRANAPADA_MINUTES_PER_SIGN = 6;
+const PRANAPADA_OFFSETS = [0, 240, 120];
+
+// Chart systems of getBirthChart. Krishnamurti Paddhati charts use the KP
+// ayanamsha and Placidus cusps.
+const CHART_SYSTEMS = ["parashari", "kp"];
+const KP_AYANAMSHA = "krishnamurti";
+
 module.exports = {
   zodiac: {
     SIGN_NAMES,
     NAKSHATRA_NAMES,
+    SIGN_LORDS,
     DIGNITY_TABLE,
   },
   dasha: {
     DASA_LORDS,
     DASA_YEARS,
+    DASA_LEVELS,
+    DASA_YEAR_LENGTHS,
+    DASA_SYSTEMS,
+    DASA_MAX_DEPTHS,
+    YOGINI_LORDS,
+    YOGINI_YEARS,
+    YOGINI_PLANETS,
+    ASHTOTTARI_LORDS,
+    ASHTOTTARI_YEARS,
+    ASHTOTTARI_GROUPS,
+    CHARA_SAVYA_SIGNS,
+    CHARA_CO_LORDS,
   },
   tithi: {
     TITHI_NAMES,
   },
+  panchanga: {
+    YOGA_NAMES,
+    MOVABLE_KARANAS,
+    FIXED_KARANAS,
+    LUNAR_MONTHS,
+    VARA_NAMES,
+  },
+  ayanamsha: {
+    AYANAMSHA_SYSTEMS,
+    AYANAMSHA_ALIASES,
+    SPICA_J2000,
+  },
+  combustion: {
+    COMBUSTION_ORBS,
+  },
+  ashtakavarga: {
+    ASHTAKAVARGA_CONTRIBUTORS,
+    BINDU_TABLE,
+    EKADHIPATYA_PAIRS,
+  },
+  strength: {
+    SAPTAVARGA_POINTS,
+    SAPTAVARGA_CHARTS,
+    DIG_BALA_HOUSE,
+    DREKKANA_BALA,
+    NAISARGIKA_BALA,
+    SHADBALA_REQUIRED,
+    WEEKDAY_LORDS,
+    HORA_ORDER,
+    BHAVA_DIG_HOUSE,
+  },
   compatibility: {
     AVAKHADA_MAP,
+    KOOTA_MAX,
+    SIGN_VARNA,
+    VARNA_RANK,
+    SIGN_VASHYA,
+    VASHYA_POINTS,
+    INAUSPICIOUS_TARAS,
+    YONI_NAMES,
+    YONI_POINTS,
+    MAITRI_POINTS,
+    GANA_POINTS,
+    BHAKOOT_DOSHA_DISTANCES,
+    MANGLIK_HOUSES,
+  },
+  muhurta: {
+    RAHU_KAAL_PARTS,
+    YAMAGANDA_PARTS,
+    GULIKA_PARTS,
+    DUR_MUHURTAS,
+    CHOGHADIYA_NAMES,
+    CHOGHADIYA_NATURE,
+  },
+  transit: {
+    GOCHARA_VEDHA,
+    VEDHA_EXEMPT_PAIRS,
+    SADE_SATI_PHASES,
+    KANTAKA_SHANI_HOUSES,
+  },
+  drishti: {
+    GRAHA_DRISHTI_HOUSES,
+    NODE_DRISHTI_HOUSES,
+    SPECIAL_DRISHTI_VIRUPAS,
+  },
+  yoga: {
+    YOGA_RULES,
+  },
+  jaimini: {
+    CHARA_KARAKAS,
+    SPECIAL_LAGNA_MINUTES,
+  },
+  upagraha: {
+    DHUMA_OFFSET,
+    UPAKETU_OFFSET,
+    YOGI_OFFSET,
+    AVAYOGI_OFFSET,
+    PRANAPADA_MINUTES_PER_SIGN,
+    PRANAPADA_OFFSETS,
+  },
+  kp: {
+    CHART_SYSTEMS,
+    KP_AYANAMSHA,
   },
 };
@@ -0,0 +1,352 @@
+const {dasha, zodiac} = require("./constants");
+const {validationError} = require("./errors");
+
+const {
+  DASA_LORDS,
+  DASA_YEARS,
+  DASA_LEVELS,
+  DASA_YEAR_LENGTHS,
+  DASA_SYSTEMS,
+  DASA_MAX_DEPTHS,
+  YOGINI_LORDS,
+  YOGINI_YEARS,
+  ASHTOTTARI_LORDS,
+  ASHTOTTARI_YEARS,
+  ASHTOTTARI_GROUPS,
+  CHARA_SAVYA_SIGNS,
+  CHARA_CO_LORDS,
+} = dasha;
+const {SIGN_NAMES, SIGN_LORDS, DIGNITY_TABLE} = zodiac;
+
+const MS_PER_DAY = 86400000;
+const NAKSHATRA_SPAN = 360 / 27;
+
+const resolveYearLength = (yearLength = 365.25) => {
+  const key = String(yearLength).toLowerCase();
+  const days = DASA_YEAR_LENGTHS[key];
+  if (!days) {
+    throw validationError(`Unsupported dasha year length: ${yearLength}`, {
+      field: "yearLength",
+      reason: "unsupported-year-length",
+      supported: Object.keys(DASA_YEAR_LENGTHS),
+    });
+  }
+  return days;
+};
+
+const resolveDepth = (system, depth = 3) => {
+  const value = Number(depth);
+  const max = DASA_MAX_DEPTHS[system];
+  if (!Number.isInteger(value) || value < 1 || value > max) {
+    throw validationError(`Unsupported ${system} dasha depth: ${depth}`, {
+      field: "depth",
+      reason: "out-of-range",
+      min: 1,
+      max,
+    });
+  }
+  return value;
+};
+
+// Split a period among `lords` in proportion to their years, starting from
+// the lord at `firstIndex` and recursing until `depth` levels are built.
+const subdividePeriod = (lords, years, firstIndex, startMs, durationMs,
+    level, depth) => {
+  const cycleYears = lords.reduce((sum, lord) => sum + years[lord], 0);
+  const periods = [];
+  let cursor = startMs;
+  for (let i = 0; i < lords.length; i += 1) {
+    const index = (firstIndex + i) % lords.length;
+    const lord = lords[index];
+    const length = (durationMs * years[lord]) / cycleYears;
+    const period = {
+      lord,
+      level: DASA_LEVELS[level],
+      start: new Date(cursor).toISOString(),
+      end: new Date(cursor + length).toISOString(),
+    };
+    if (level + 1 < depth) {
+      period.sub_periods = subdividePeriod(
+          lords, years, index, cursor, length, level + 1, depth,
+      );
+    }
+    periods.push(period);
+    cursor += length;
+  }
+  return periods;
+};
+
+// Timeline for a nakshatra dasha whose sub-periods are proportional to the
+// lords' years. Cycles repeat until at least 120 years are covered.
+const buildProportionalTimeline = (system, lords, years, lordIndex, progress,
+    birthMs, options) => {
+  const yearDays = resolveYearLength(options.yearLength);
+  const depth = resolveDepth(system, options.depth);
+  const yearMs = yearDays * MS_PER_DAY;
+  const cycleYears = lords.reduce((sum, lord) => sum + years[lord], 0);
+  const cycleMs = cycleYears * yearMs;
+
+  // The first dasha began before birth by the fraction of it already spent.
+  const startMs = birthMs - years[lords[lordIndex]] * progress * yearMs;
+  const cycles = Math.ceil(120 / cycleYears);
+  const periods = [];
+  for (let cycle = 0; cycle < cycles; cycle += 1) {
+    periods.push(...subdividePeriod(
+        lords,
+        years,
+        lordIndex,
+        startMs + cycle * cycleMs,
+        cycleMs,
+        0,
+        depth,
+    ));
+  }
+
+  return {
+    system,
+    year_length_days: yearDays,
+    depth,
+    start: new Date(startMs).toISOString(),
+    end: new Date(startMs + cycles * cycleMs).toISOString(),
+    periods,
+  };
+};
+
+const buildVimshottariTimeline = (moonLongitude, birthMs, options = {}) => {
+  const nakshatraIndex = Math.floor(moonLongitude / NAKSHATRA_SPAN);
+  const progress = (moonLongitude % NAKSHATRA_SPAN) / NAKSHATRA_SPAN;
+  return buildProportionalTimeline(
+      "vimshottari",
+      DASA_LORDS,
+      DASA_YEARS,
+      nakshatraIndex % DASA_LORDS.length,
+      progress,
+      birthMs,
+      options,
+  );
+};
+
+const buildYoginiTimeline = (moonLongitude, birthMs, options = {}) => {
+  const nakshatraIndex = Math.floor(moonLongitude / NAKSHATRA_SPAN);
+  const progress = (moonLongitude % NAKSHATRA_SPAN) / NAKSHATRA_SPAN;
+  // Nakshatra number plus three, modulo eight, counted from Mangala.
+  const lordIndex = (nakshatraIndex + 1 + 3 + 7) % 8;
+  return buildProportionalTimeline(
+      "yogini",
+      YOGINI_LORDS,
+      YOGINI_YEARS,
+      lordIndex,
+      progress,
+      birthMs,
+      options,
+  );
+};
+
+// Ashtottari applies when Rahu is in a kendra or trikona from the lagna lord
+// but not in the lagna itself.
+const getAshtottariApplicability = (signs) => {
+  if (!signs.Ascendant) return null;
+  const lagnaLord = SIGN_LORDS[signs.Ascendant - 1];
+  const houseFromLord = ((signs.Rahu - signs[lagnaLord] + 12) % 12) + 1;
+  const applicable = signs.Rahu !== signs.Ascendant &&
+    [1, 4, 5, 7, 9, 10].includes(houseFromLord);
+  return {
+    applicable,
+    rule: "Rahu in a kendra or trikona from the lagna lord, not in lagna",
+    lagna_lord: lagnaLord,
+    rahu_house_from_lagna_lord: houseFromLord,
+  };
+};
+
+const buildAshtottariTimeline = (moonLongitude, birthMs, options = {},
+    signs = {}) => {
+  let lordIndex = 0;
+  let progress = 0;
+  ASHTOTTARI_GROUPS.forEach((group) => {
+    const {bounds} = group;
+    [moonLongitude, moonLongitude + 360].forEach((lon) => {
+      if (lon < bounds[0] || lon >= bounds[bounds.length - 1]) return;
+      let segment = 0;
+      while (lon >= bounds[segment + 1]) segment += 1;
+      const fraction = (lon - bounds[segment]) /
+        (bounds[segment + 1] - bounds[segment]);
+      lordIndex = ASHTOTTARI_LORDS.indexOf(group.lord);
+      progress = (segment + fraction) / (bounds.length - 1);
+    });
+  });
+  return {
+    ...buildProportionalTimeline(
+        "ashtottari",
+        ASHTOTTARI_LORDS,
+        ASHTOTTARI_YEARS,
+        lordIndex,
+        progress,
+        birthMs,
+        options,
+    ),
+    applicability: getAshtottariApplicability(signs),
+  };
+};
+
+const isSavya = (sign) => CHARA_SAVYA_SIGNS.includes(sign);
+
+const stepSign = (sign, steps) => ((sign - 1 + steps + 120) % 12) + 1;
+
+const countConjunctions = (planet, signs) => Object.keys(signs).filter(
+    (other) => other !== planet && other !== "Ascendant" &&
+      signs[other] === signs[planet],
+).length;
+
+// Of two lords of Scorpio or Aquarius, the stronger rules the dasha.
+const strongerCharaLord = (sign, first, second, signs, degrees) => {
+  const firstIn = signs[first] === sign;
+  const secondIn = signs[second] === sign;
+  if (firstIn !== secondIn) return firstIn ? second : first;
+  const conjunctions = countConjunctions(first, signs) -
+    countConjunctions(second, signs);
+  if (conjunctions !== 0) return conjunctions > 0 ? first : second;
+  const exalted = (planet) => Boolean(DIGNITY_TABLE[planet]) &&
+    DIGNITY_TABLE[planet].exaltation === signs[planet];
+  if (exalted(first) !== exalted(second)) {
+    return exalted(first) ? first : second;
+  }
+  return degrees[first] >= degrees[second] ? first : second;
+};
+
+// Lord of a sign for Jaimini purposes, choosing between the co-lords of
+// Scorpio and Aquarius.
+const getJaiminiSignLord = (sign, signs, degrees) => {
+  const lord = SIGN_LORDS[sign - 1];
+  if (!CHARA_CO_LORDS[sign]) return lord;
+  return strongerCharaLord(sign, lord, CHARA_CO_LORDS[sign], signs, degrees);
+};
+
+const getCharaDashaYears = (sign, signs, degrees) => {
+  const lord = getJaiminiSignLord(sign, signs, degrees);
+  const lordSign = signs[lord];
+  if (lordSign === sign) return {lord, years: 12};
+  let years = isSavya(sign) ?
+    (lordSign - sign + 12) % 12 :
+    (sign - lordSign + 12) % 12;
+  const dignity = DIGNITY_TABLE[lord];
+  if (dignity && dignity.exaltation === lordSign) years += 1;
+  if (dignity && dignity.debilitation === lordSign) years -= 1;
+  return {lord, years};
+};
+
+// Chara sub-periods are twelve equal parts, beginning with the sign after
+// the dasha sign and ending with the dasha sign itself.
+const subdivideCharaPeriod = (sign, startMs, durationMs, level, depth) => {
+  const direction = isSavya(sign) ? 1 : -1;
+  const length = durationMs / 12;
+  const periods = [];
+  for (let i = 1; i <= 12; i += 1) {
+    const subSign = stepSign(sign, direction * i);
+    const cursor = startMs + (i - 1) * length;
+    const period = {
+      lord: SIGN_NAMES[subSign - 1],
+      level: DASA_LEVELS[level],
+      start: new Date(cursor).toISOString(),
+      end: new Date(cursor + length).toISOString(),
+    };
+    if (level + 1 < depth) {
+      period.sub_periods = subdivideCharaPeriod(
+          subSign, cursor, length, level + 1, depth,
+      );
+    }
+    periods.push(period);
+  }
+  return periods;
+};
+
+// Jaimini Chara dasha from D1 signs (with Ascendant) and degrees in sign.
+// Dashas run from birth through the lagna and onward in the direction set
+// by the ninth sign; the second cycle gives each sign 12 less its first.
+const buildCharaTimeline = (signs, degrees, birthMs, options = {}) => {
+  if (!signs.Ascendant) {
+    throw validationError("Chara dasha requires the birth location", {
+      field: "lat",
+      reason: "missing-location",
+    });
+  }
+  const yearDays = resolveYearLength(options.yearLength);
+  const depth = resolveDepth("chara", options.depth);
+  const yearMs = yearDays * MS_PER_DAY;
+  const lagna = signs.Ascendant;
+  const direction = isSavya(stepSign(lagna, 8)) ? 1 : -1;
+
+  const firstCycle = [];
+  for (let i = 0; i < 12; i += 1) {
+    const sign = stepSign(lagna, direction * i);
+    firstCycle.push({sign, ...getCharaDashaYears(sign, signs, degrees)});
+  }
+  const secondCycle = firstCycle.map((entry) => ({
+    ...entry,
+    years: 12 - entry.years,
+  }));
+
+  const periods = [];
+  let cursor = birthMs;
+  firstCycle.concat(secondCycle).forEach((entry) => {
+    if (entry.years <= 0) return;
+    const length = entry.years * yearMs;
+    const period = {
+      lord: SIGN_NAMES[entry.sign - 1],
+      level: DASA_LEVELS[0],
+      start: new Date(cursor).toISOString(),
+      end: new Date(cursor + length).toISOString(),
+      sign_lord: entry.lord,
+    };
+    if (depth > 1) {
+      period.sub_periods = subdivideCharaPeriod(
+          entry.sign, cursor, length, 1, depth,
+      );
+    }
+    periods.push(period);
+    cursor += length;
+  });
+
+  return {
+    system: "chara",
+    year_length_days: yearDays,
+    depth,
+    start: new Date(birthMs).toISOString(),
+    end: new Date(cursor).toISOString(),
+    periods,
+  };
+};
+
+// `chart` carries the Moon's sidereal longitude and, where the birth place
+// is known, D1 signs and degrees keyed by graha name plus Ascendant.
+const buildDashaTimeline = (system = "vimshottari", chart, birthMs,
+    options = {}) => {
+  const {moonLongitude, signs = {}, degrees = {}} = chart;
+  switch (system) {
+    case "vimshottari":
+      return buildVimshottariTimeline(moonLongitude, birthMs, options);
+    case "yogini":
+      return buildYoginiTimeline(moonLongitude, birthMs, options);
+    case "ashtottari":
+      return buildAshtottariTimeline(moonLongitude, birthMs, options, signs);
+    case "chara":
+      return buildCharaTimeline(signs, degrees, birthMs, options);
+    default:
+      throw validationError(`Unknown dasha system: ${system}`, {
+        field: "dashaSystem",
+        reason: "unknown-dasha-system",
+        supported: DASA_SYSTEMS,
+      });
+  }
+};
+
+module.exports = {
+  resolveYearLength,
+  resolveDepth,
+  subdividePeriod,
+  buildVimshottariTimeline,
+  buildYoginiTimeline,
+  buildAshtottariTimeline,
+  buildCharaTimeline,
+  buildDashaTimeline,
+  getJaiminiSignLord,
+};
@@ -0,0 +1,98 @@
+const {
+  getSign,
+  getGrahaDrishtiHouses,
+  getDrishtiVirupas,
+  getRashiDrishtiSigns,
+  buildSripatiBhava,
+} = require("./calculations");
+
+const BODIES = [
+  "Sun",
+  "Moon",
+  "Mars",
+  "Mercury",
+  "Jupiter",
+  "Venus",
+  "Saturn",
+  "Rahu",
+  "Ketu",
+];
+const HOUSES = Array.from({length: 12}, (_, index) => index + 1);
+
+const round = (value) => Math.round(value * 100) / 100;
+const countSigns = (from, to) => ((to - from + 12) % 12) + 1;
+
+// Parashari graha drishti: whether each body fully aspects another body or
+// house by sign, and the sphuta strength in virupas on its longitude or,
+// for houses, on the Sripati bhava madhya used for Bhava Bala.
+const getGrahaDrishti = (longitudes, signs, bhavas, nodeAspects) => {
+  const planets = {};
+  const houses = {};
+  BODIES.forEach((planet) => {
+    const aspected = getGrahaDrishtiHouses(planet, nodeAspects);
+    const strength = (point) => round(getDrishtiVirupas(
+        planet,
+        point - longitudes[planet],
+        nodeAspects,
+    ));
+    planets[planet] = {};
+    BODIES.filter((other) => other !== planet).forEach((other) => {
+      const house = countSigns(signs[planet], signs[other]);
+      planets[planet][other] = {
+        house,
+        full: aspected.includes(house),
+        virupas: strength(longitudes[other]),
+      };
+    });
+    houses[planet] = {};
+    bhavas.forEach((bhava) => {
+      const sign = ((signs.Ascendant + bhava.house - 2) % 12) + 1;
+      houses[planet][bhava.house] = {
+        full: aspected.includes(countSigns(signs[planet], sign)),
+        virupas: strength(bhava.madhya),
+      };
+    });
+  });
+  return {planet_to_planet: planets, planet_to_house: houses};
+};
+
+// Jaimini rashi drishti: a body aspects every body and house in the signs
+// its own sign aspects.
+const getRashiDrishti = (signs) => {
+  const planets = {};
+  const houses = {};
+  BODIES.forEach((planet) => {
+    const aspected = getRashiDrishtiSigns(signs[planet]);
+    planets[planet] = {};
+    BODIES.filter((other) => other !== planet).forEach((other) => {
+      planets[planet][other] = aspected.includes(signs[other]);
+    });
+    houses[planet] = {};
+    HOUSES.forEach((house) => {
+      houses[planet][house] = aspected.includes(
+          ((signs.Ascendant + house - 2) % 12) + 1,
+      );
+    });
+  });
+  return {planet_to_planet: planets, planet_to_house: houses};
+};
+
+// Graha and rashi drishti matrices for a D1 chart from sidereal longitudes
+// of the grahas, nodes and Ascendant. Rows are the aspecting bodies.
+const buildDrishti = (options) => {
+  const {longitudes, midheaven, nodeAspects = "none"} = options;
+  const signs = {};
+  Object.keys(longitudes).forEach((name) => {
+    signs[name] = getSign(longitudes[name]);
+  });
+  const bhavas = buildSripatiBhava(longitudes.Ascendant, midheaven);
+  return {
+    node_aspects: nodeAspects,
+    graha: getGrahaDrishti(longitudes, signs, bhavas, nodeAspects),
+    rashi: getRashiDrishti(signs),
+  };
+};
+
+module.exports = {
+  buildDrishti,
+};
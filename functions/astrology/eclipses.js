@@ -0,0 +1,442 @@
+const {SEI_SUN, SEI_MOON} = require("../ephemeris/SwissEphemerisFile");
+const {zodiac} = require("./constants");
+const {
+  normalizeDegrees,
+  fromJulianDay,
+  greenwichSiderealTime,
+  precessEquatorial,
+  meanNodeLongitude,
+} = require("./math");
+const {
+  getAyanamsha,
+  getGeocentricVector,
+  getPlanetLongitude,
+  getNakshatraDetails,
+  getSign,
+  getDegInSign,
+  formatDms,
+} = require("./calculations");
+const {findAngleCrossing} = require("./panchanga");
+const {validateRange} = require("./events");
+const {validationError} = require("./errors");
+
+const {SIGN_NAMES} = zodiac;
+
+const AU_KM = 149597870.7;
+const EARTH_RADIUS_KM = 6378.137;
+const EARTH_POLAR_RATIO = 0.99664719;
+const SUN_RADIUS_KM = 696000;
+const MOON_RADIUS_KM = 1737.4;
+// Danjon's enlargement of the Earth's radius by 1/85 for its atmosphere.
+const SHADOW_ENLARGEMENT = 1 + 1 / 85;
+// Largest distance of the Sun from a node, in degrees, at which a solar or
+// lunar eclipse can happen.
+const NODE_LIMITS = {solar: 18.6, lunar: 17.5};
+const ECLIPSE_KINDS = ["solar", "lunar"];
+// Half-width of the window around the syzygy searched for the maximum, and
+// around the maximum for contacts.
+const MAXIMUM_WINDOW_DAYS = 0.3;
+const CONTACT_WINDOW_DAYS = 0.3;
+const VISIBILITY_STEP_DAYS = 5 / 1440;
+const TOLERANCE_DAYS = 1 / 86400;
+const DEG = Math.PI / 180;
+
+const toIso = (jd) => (jd === null ? null : fromJulianDay(jd).toISOString());
+const norm = (v) => Math.hypot(...v);
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const subtract = (a, b) => a.map((v, i) => v - b[i]);
+const angleBetween = (a, b) => {
+  const cross = [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0],
+  ];
+  return Math.atan2(norm(cross), dot(a, b));
+};
+
+// Apparent geocentric vector in km on the equator and equinox of date.
+const getVectorOfDate = (ipli, jd, ephemerisCache) => {
+  const [x, y, z] = getGeocentricVector(ipli, jd, ephemerisCache);
+  const distance = Math.hypot(x, y, z) * AU_KM;
+  const ofDate = precessEquatorial(
+      Math.atan2(y, x) / DEG,
+      Math.atan2(z, Math.hypot(x, y)) / DEG,
+      jd,
+  );
+  const ra = ofDate.ra * DEG;
+  const dec = ofDate.dec * DEG;
+  return [
+    distance * Math.cos(dec) * Math.cos(ra),
+    distance * Math.cos(dec) * Math.sin(ra),
+    distance * Math.sin(dec),
+  ];
+};
+
+// Observer's geocentric position in km and local vertical, on the equator
+// of date, allowing for the Earth's flattening.
+const getObserverFrame = (jd, observer) => {
+  const phi = observer.lat * DEG;
+  const height = (observer.altitude || 0) / 1000 / EARTH_RADIUS_KM;
+  const u = Math.atan(EARTH_POLAR_RATIO * Math.tan(phi));
+  const rhoSin = EARTH_POLAR_RATIO * Math.sin(u) + height * Math.sin(phi);
+  const rhoCos = Math.cos(u) + height * Math.cos(phi);
+  const lst = normalizeDegrees(greenwichSiderealTime(jd) + observer.lng) * DEG;
+  return {
+    position: [
+      EARTH_RADIUS_KM * rhoCos * Math.cos(lst),
+      EARTH_RADIUS_KM * rhoCos * Math.sin(lst),
+      EARTH_RADIUS_KM * rhoSin,
+    ],
+    zenith: [
+      Math.cos(phi) * Math.cos(lst),
+      Math.cos(phi) * Math.sin(lst),
+      Math.sin(phi),
+    ],
+  };
+};
+
+const getAltitude = (topocentric, zenith) =>
+  90 - angleBetween(topocentric, zenith) / DEG;
+
+// Sun's vector, and the separation and angular radii in radians of the Sun
+// and Moon, seen from a geocentric position in km.
+const getTopocentricDiscs = (jd, position, ephemerisCache) => {
+  const sun = subtract(getVectorOfDate(SEI_SUN, jd, ephemerisCache), position);
+  const moon = subtract(
+      getVectorOfDate(SEI_MOON, jd, ephemerisCache),
+      position,
+  );
+  return {
+    sun,
+    separation: angleBetween(sun, moon),
+    sunRadius: Math.asin(SUN_RADIUS_KM / norm(sun)),
+    moonRadius: Math.asin(MOON_RADIUS_KM / norm(moon)),
+  };
+};
+
+// Minimum of a function with a single minimum between low and high, by
+// golden-section search to within a second.
+const findMinimum = (fn, low, high) => {
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let a = low;
+  let b = high;
+  while (b - a > TOLERANCE_DAYS) {
+    const c = b - ratio * (b - a);
+    const d = a + ratio * (b - a);
+    if (fn(c) < fn(d)) b = d;
+    else a = c;
+  }
+  return (a + b) / 2;
+};
+
+// Time between `from` and `to` where `fn` changes sign, or null when it
+// has the same sign at both ends.
+const findRoot = (fn, from, to) => {
+  let low = from;
+  let high = to;
+  const lowSign = Math.sign(fn(low));
+  if (lowSign === Math.sign(fn(high))) return null;
+  while (Math.abs(high - low) > TOLERANCE_DAYS) {
+    const mid = (low + high) / 2;
+    if (Math.sign(fn(mid)) === lowSign) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+};
+
+// Times before and after `maximumJd` at which `fn` (negative at maximum)
+// crosses zero.
+const findContacts = (fn, maximumJd) => [
+  findRoot(fn, maximumJd - CONTACT_WINDOW_DAYS, maximumJd),
+  findRoot(fn, maximumJd, maximumJd + CONTACT_WINDOW_DAYS),
+];
+
+// Moon's angular distance from the antisolar point and the radii of the
+// Moon and of the Earth's umbra and penumbra at its distance, in radians.
+const getLunarGeometry = (jd, ephemerisCache) => {
+  const sun = getVectorOfDate(SEI_SUN, jd, ephemerisCache);
+  const moon = getVectorOfDate(SEI_MOON, jd, ephemerisCache);
+  const sunDistance = norm(sun);
+  const moonDistance = norm(moon);
+  const sunRadius = Math.asin(SUN_RADIUS_KM / sunDistance);
+  const parallaxes = SHADOW_ENLARGEMENT *
+    Math.asin(EARTH_RADIUS_KM / moonDistance) +
+    Math.asin(EARTH_RADIUS_KM / sunDistance);
+  return {
+    separation: angleBetween(moon, sun.map((v) => -v)),
+    moonRadius: Math.asin(MOON_RADIUS_KM / moonDistance),
+    umbra: parallaxes - sunRadius,
+    penumbra: parallaxes + sunRadius,
+    moon,
+  };
+};
+
+// Closest approach of the lunar shadow axis to the Earth's centre and the
+// penumbral radius there, in km.
+const getSolarGeometry = (jd, ephemerisCache) => {
+  const sun = getVectorOfDate(SEI_SUN, jd, ephemerisCache);
+  const moon = getVectorOfDate(SEI_MOON, jd, ephemerisCache);
+  const sunToMoon = subtract(moon, sun);
+  const length = norm(sunToMoon);
+  const axis = sunToMoon.map((v) => v / length);
+  const along = -dot(moon, axis);
+  const closest = moon.map((v, i) => v + along * axis[i]);
+  return {
+    distance: norm(closest),
+    penumbra: MOON_RADIUS_KM +
+      along * (SUN_RADIUS_KM + MOON_RADIUS_KM) / length,
+  };
+};
+
+// Point of the Earth's surface nearest the lunar shadow axis, in km on the
+// equator of date: where the axis first meets the surface or, when it
+// misses, the point of the limb beneath it. Heights are stretched by the
+// Earth's flattening so that the surface is a sphere, as in Besselian
+// reductions, and `central` tells whether the axis meets it.
+const getNearestSurfacePoint = (jd, ephemerisCache) => {
+  const stretch = (v) => [v[0], v[1], v[2] / EARTH_POLAR_RATIO];
+  const sun = stretch(getVectorOfDate(SEI_SUN, jd, ephemerisCache));
+  const moon = stretch(getVectorOfDate(SEI_MOON, jd, ephemerisCache));
+  const sunToMoon = subtract(moon, sun);
+  const axis = sunToMoon.map((v) => v / norm(sunToMoon));
+  const along = -dot(moon, axis);
+  const closest = moon.map((v, i) => v + along * axis[i]);
+  const distance = norm(closest);
+  const central = distance < EARTH_RADIUS_KM;
+  const point = central ?
+    moon.map((v, i) => v + (along - Math.sqrt(
+        EARTH_RADIUS_KM ** 2 - distance ** 2,
+    )) * axis[i]) :
+    closest.map((v) => v * EARTH_RADIUS_KM / distance);
+  return {
+    position: [point[0], point[1], point[2] * EARTH_POLAR_RATIO],
+    central,
+  };
+};
+
+// Whether `altitudeAt` is above the horizon at any time between two
+// instants, sampled every five minutes.
+const isAboveHorizonBetween = (altitudeAt, from, to) => {
+  for (let jd = from; jd < to; jd += VISIBILITY_STEP_DAYS) {
+    if (altitudeAt(jd) > 0) return true;
+  }
+  return altitudeAt(to) > 0;
+};
+
+const buildLunarEclipse = (syzygyJd, ephemerisCache, observer) => {
+  const geometry = (jd) => getLunarGeometry(jd, ephemerisCache);
+  const maximumJd = findMinimum(
+      (jd) => geometry(jd).separation,
+      syzygyJd - MAXIMUM_WINDOW_DAYS,
+      syzygyJd + MAXIMUM_WINDOW_DAYS,
+  );
+  const atMaximum = geometry(maximumJd);
+  const {separation, moonRadius, umbra, penumbra} = atMaximum;
+  const magnitude = (umbra + moonRadius - separation) / (2 * moonRadius);
+  const penumbralMagnitude = (penumbra + moonRadius - separation) /
+    (2 * moonRadius);
+  if (penumbralMagnitude <= 0) return null;
+  let type = "penumbral";
+  if (magnitude >= 1) type = "total";
+  else if (magnitude > 0) type = "partial";
+
+  const contactsAt = (limit) => findContacts((jd) => {
+    const g = geometry(jd);
+    return g.separation - limit(g);
+  }, maximumJd);
+  const [p1, p4] = contactsAt((g) => g.penumbra + g.moonRadius);
+  const [u1, u4] = type === "penumbral" ?
+    [null, null] :
+    contactsAt((g) => g.umbra + g.moonRadius);
+  const [u2, u3] = type === "total" ?
+    contactsAt((g) => g.umbra - g.moonRadius) :
+    [null, null];
+
+  const eclipse = {
+    kind: "lunar",
+    type,
+    maximum: maximumJd,
+    magnitude: Math.max(0, magnitude),
+    penumbral_magnitude: penumbralMagnitude,
+    contacts: {
+      p1: toIso(p1),
+      u1: toIso(u1),
+      u2: toIso(u2),
+      u3: toIso(u3),
+      u4: toIso(u4),
+      p4: toIso(p4),
+    },
+  };
+  if (observer) {
+    const moonAltitude = (jd) => {
+      const frame = getObserverFrame(jd, observer);
+      return getAltitude(
+          subtract(geometry(jd).moon, frame.position),
+          frame.zenith,
+      );
+    };
+    eclipse.local = {
+      visible: isAboveHorizonBetween(moonAltitude, p1, p4),
+      moon_altitude_at_maximum: moonAltitude(maximumJd),
+    };
+  }
+  return eclipse;
+};
+
+// Eclipse as seen by the observer: Sun and Moon compared topocentrically.
+const buildLocalSolarEclipse = (globalMaximumJd, ephemerisCache, observer) => {
+  const local = (jd) => {
+    const frame = getObserverFrame(jd, observer);
+    const discs = getTopocentricDiscs(jd, frame.position, ephemerisCache);
+    return {...discs, sunAltitude: getAltitude(discs.sun, frame.zenith)};
+  };
+  const maximumJd = findMinimum(
+      (jd) => local(jd).separation,
+      globalMaximumJd - MAXIMUM_WINDOW_DAYS,
+      globalMaximumJd + MAXIMUM_WINDOW_DAYS,
+  );
+  const {separation, sunRadius, moonRadius} = local(maximumJd);
+  if (separation >= sunRadius + moonRadius) {
+    return {eclipsed: false, visible: false};
+  }
+  let type = "partial";
+  if (separation <= moonRadius - sunRadius) type = "total";
+  else if (separation <= sunRadius - moonRadius) type = "annular";
+
+  const [c1, c4] = findContacts((jd) => {
+    const g = local(jd);
+    return g.separation - (g.sunRadius + g.moonRadius);
+  }, maximumJd);
+  const [c2, c3] = type === "partial" ? [null, null] : findContacts((jd) => {
+    const g = local(jd);
+    return g.separation - Math.abs(g.sunRadius - g.moonRadius);
+  }, maximumJd);
+  return {
+    eclipsed: true,
+    visible: isAboveHorizonBetween(
+        (jd) => local(jd).sunAltitude,
+        c1,
+        c4,
+    ),
+    type,
+    maximum: toIso(maximumJd),
+    magnitude: (sunRadius + moonRadius - separation) / (2 * sunRadius),
+    sun_altitude_at_maximum: local(maximumJd).sunAltitude,
+    contacts: {c1: toIso(c1), c2: toIso(c2), c3: toIso(c3), c4: toIso(c4)},
+  };
+};
+
+const buildSolarEclipse = (syzygyJd, ephemerisCache, observer) => {
+  const geometry = (jd) => getSolarGeometry(jd, ephemerisCache);
+  const maximumJd = findMinimum(
+      (jd) => geometry(jd).distance,
+      syzygyJd - MAXIMUM_WINDOW_DAYS,
+      syzygyJd + MAXIMUM_WINDOW_DAYS,
+  );
+  const {distance, penumbra} = geometry(maximumJd);
+  if (distance >= EARTH_RADIUS_KM + penumbra) return null;
+
+  // Type and magnitude are those seen from the surface point nearest the
+  // shadow axis. There the Moon covers the Sun, or lies within it, when the
+  // umbra or antumbra reaches the surface, even if the axis misses the
+  // Earth; magnitude is then the ratio of the discs and otherwise the
+  // covered fraction of the Sun's diameter.
+  const {position, central} = getNearestSurfacePoint(
+      maximumJd,
+      ephemerisCache,
+  );
+  const {separation, sunRadius, moonRadius} = getTopocentricDiscs(
+      maximumJd,
+      position,
+      ephemerisCache,
+  );
+  let type = "partial";
+  let magnitude = (sunRadius + moonRadius - separation) / (2 * sunRadius);
+  if (separation <= Math.abs(moonRadius - sunRadius)) {
+    type = moonRadius > sunRadius ? "total" : "annular";
+    magnitude = moonRadius / sunRadius;
+  }
+
+  const eclipse = {
+    kind: "solar",
+    type,
+    maximum: maximumJd,
+    magnitude,
+    gamma: distance / EARTH_RADIUS_KM,
+    central,
+  };
+  if (observer) {
+    eclipse.local = buildLocalSolarEclipse(maximumJd, ephemerisCache, observer);
+  }
+  return eclipse;
+};
+
+// Solar and lunar eclipses with maxima between two instants, in time
+// order. Each new or full moon within the node limits is examined, and the
+// eclipse is placed in the sidereal sign and nakshatra of the Moon.
+const searchEclipses = (options, ephemerisCache) => {
+  const {startJd, endJd, ayanamsha, observer} = options;
+  validateRange(startJd, endJd, ephemerisCache);
+  const list = options.kinds === undefined || options.kinds === null ?
+    ECLIPSE_KINDS :
+    [].concat(options.kinds);
+  const unknown = list.filter((kind) => !ECLIPSE_KINDS.includes(kind));
+  if (unknown.length) {
+    throw validationError(`Unknown eclipse kind: ${unknown.join(", ")}`, {
+      field: "kinds",
+      reason: "unknown-eclipse-kind",
+      supported: ECLIPSE_KINDS,
+    });
+  }
+
+  const longitude = (ipli, jd) => getPlanetLongitude(ipli, jd, ephemerisCache);
+  const elongation = (jd) =>
+    normalizeDegrees(longitude(SEI_MOON, jd) - longitude(SEI_SUN, jd));
+  const builders = {solar: buildSolarEclipse, lunar: buildLunarEclipse};
+
+  const eclipses = [];
+  ECLIPSE_KINDS.filter((kind) => list.includes(kind)).forEach((kind) => {
+    const target = kind === "solar" ? 0 : 180;
+    let cursor = startJd - MAXIMUM_WINDOW_DAYS;
+    for (;;) {
+      const syzygyJd = findAngleCrossing(elongation, target, cursor);
+      if (syzygyJd > endJd + MAXIMUM_WINDOW_DAYS) break;
+      cursor = syzygyJd + 1;
+      const rahu = normalizeDegrees(meanNodeLongitude(syzygyJd) / DEG);
+      const fromNode = normalizeDegrees(longitude(SEI_SUN, syzygyJd) - rahu);
+      if (Math.min(fromNode % 180, 180 - (fromNode % 180)) >
+        NODE_LIMITS[kind]) {
+        continue;
+      }
+      const eclipse = builders[kind](syzygyJd, ephemerisCache, observer);
+      if (!eclipse || eclipse.maximum < startJd ||
+        eclipse.maximum > endJd) {
+        continue;
+      }
+
+      const moon = normalizeDegrees(
+          longitude(SEI_MOON, eclipse.maximum) -
+          getAyanamsha(eclipse.maximum, ayanamsha).value,
+      );
+      const nakshatra = getNakshatraDetails(moon);
+      const moonFromRahu = normalizeDegrees(
+          longitude(SEI_MOON, eclipse.maximum) - rahu,
+      );
+      eclipses.push({
+        ...eclipse,
+        node: moonFromRahu < 90 || moonFromRahu > 270 ? "Rahu" : "Ketu",
+        sign: SIGN_NAMES[getSign(moon) - 1],
+        degrees: formatDms(getDegInSign(moon)),
+        nakshatra: `${nakshatra.name}-${nakshatra.pada}`,
+      });
+    }
+  });
+
+  return eclipses
+      .sort((a, b) => a.maximum - b.maximum)
+      .map((eclipse) => ({...eclipse, maximum: toIso(eclipse.maximum)}));
+};
+
+module.exports = {
+  searchEclipses,
+};
@@ -0,0 +1,11 @@
+// Errors carrying `details` are reported to clients as invalid-argument
+// with the details attached, rather than as internal calculation failures.
+const validationError = (message, details) => {
+  const err = new Error(message);
+  err.details = details;
+  return err;
+};
+
+module.exports = {
+  validationError,
+};
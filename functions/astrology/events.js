@@ -0,0 +1,238 @@
+const {zodiac, combustion} = require("./constants");
+const {normalizeDegrees, fromJulianDay} = require("./math");
+const {
+  getAyanamsha,
+  getPlanetLongitude,
+  getPlanetSpeed,
+  isCombust,
+  formatDms,
+  getDegInSign,
+  getNodesSidereal,
+  GRAHA_IDS,
+} = require("./calculations");
+const {validationError} = require("./errors");
+
+const {SIGN_NAMES, NAKSHATRA_NAMES} = zodiac;
+const {COMBUSTION_ORBS} = combustion;
+
+const EVENT_KINDS = ["sign", "nakshatra", "pada", "station", "combustion"];
+const SEARCH_BODIES = [...Object.keys(GRAHA_IDS), "Rahu", "Ketu"];
+const SPANS = {sign: 30, nakshatra: 360 / 27, pada: 360 / 108};
+// Each step covers at most this fraction of the span being watched.
+const STEP_FRACTION = 0.4;
+const MIN_STEP_DAYS = 1 / 1440;
+const MAX_STEP_DAYS = 1;
+const TOLERANCE_DAYS = 1 / 86400;
+const MAX_SPAN_DAYS = 3660;
+// Light-time and ΔT reach slightly beyond the requested instant.
+const FILE_MARGIN_DAYS = 1;
+
+const toIso = (jd) => fromJulianDay(jd).toISOString();
+
+const resolveList = (values, supported, field) => {
+  if (values === undefined || values === null) return supported;
+  const list = Array.isArray(values) ? values : [values];
+  const unknown = list.filter((value) => !supported.includes(value));
+  if (unknown.length) {
+    throw validationError(`Unknown ${field}: ${unknown.join(", ")}`, {
+      field,
+      reason: `unknown-${field}`,
+      supported,
+    });
+  }
+  return supported.filter((value) => list.includes(value));
+};
+
+// Julian Days covered by both loaded ephemeris files.
+const getEphemerisRange = (ephemerisCache) => ({
+  start: Math.max(ephemerisCache.planet.fileStart,
+      ephemerisCache.moon.fileStart) + FILE_MARGIN_DAYS,
+  end: Math.min(ephemerisCache.planet.fileEnd,
+      ephemerisCache.moon.fileEnd) - FILE_MARGIN_DAYS,
+});
+
+const validateRange = (startJd, endJd, ephemerisCache) => {
+  const range = getEphemerisRange(ephemerisCache);
+  if (endJd <= startJd) {
+    throw validationError("End must be after start", {
+      field: "end",
+      reason: "invalid-range",
+    });
+  }
+  if (endJd - startJd > MAX_SPAN_DAYS) {
+    throw validationError(`Range exceeds ${MAX_SPAN_DAYS} days`, {
+      field: "end",
+      reason: "range-too-long",
+      max_days: MAX_SPAN_DAYS,
+    });
+  }
+  if (startJd < range.start || endJd > range.end) {
+    throw validationError("Range is outside the ephemeris files", {
+      field: startJd < range.start ? "start" : "end",
+      reason: "outside-ephemeris",
+      file_start: toIso(range.start),
+      file_end: toIso(range.end),
+    });
+  }
+};
+
+// Sidereal longitude and daily motion of a graha or node as functions of
+// time. Node motion is taken from a central difference.
+const createBody = (name, ayanamshaSelection, nodeType, ephemerisCache) => {
+  const ayanamsha = (jd) => getAyanamsha(jd, ayanamshaSelection).value;
+  if (GRAHA_IDS[name] === undefined) {
+    const longitude = (jd) => {
+      const nodes = getNodesSidereal(
+          jd,
+          ayanamsha(jd),
+          nodeType,
+          ephemerisCache,
+      );
+      return name === "Rahu" ? nodes.rahuSidereal : nodes.ketuSidereal;
+    };
+    const speed = (jd) =>
+      (normalizeDegrees(longitude(jd + 0.01) - longitude(jd - 0.01) + 180) -
+        180) / 0.02;
+    return {name, longitude, speed};
+  }
+  const id = GRAHA_IDS[name];
+  return {
+    name,
+    longitude: (jd) => normalizeDegrees(
+        getPlanetLongitude(id, jd, ephemerisCache) - ayanamsha(jd),
+    ),
+    speed: (jd) => getPlanetSpeed(id, jd, ephemerisCache),
+  };
+};
+
+// Steps through a range at `stepAt(jd)` days and bisects every change of
+// `state` to within a second. Steps must be short enough that a state
+// cannot change and change back between two samples.
+const findChanges = (fromJd, toJd, state, stepAt) => {
+  const changes = [];
+  let jd = fromJd;
+  let current = state(jd);
+  while (jd < toJd) {
+    const step = Math.min(MAX_STEP_DAYS, Math.max(MIN_STEP_DAYS, stepAt(jd)));
+    const next = Math.min(toJd, jd + step);
+    const nextState = state(next);
+    if (nextState === current) {
+      jd = next;
+      continue;
+    }
+    let low = jd;
+    let high = next;
+    while (high - low > TOLERANCE_DAYS) {
+      const mid = (low + high) / 2;
+      if (state(mid) === current) low = mid;
+      else high = mid;
+    }
+    const after = state(high);
+    changes.push({jd: (low + high) / 2, from: current, to: after});
+    jd = high;
+    current = after;
+  }
+  return changes;
+};
+
+const describeIngress = (kind, index) => {
+  if (kind === "sign") return SIGN_NAMES[index];
+  if (kind === "nakshatra") return NAKSHATRA_NAMES[index];
+  return `${NAKSHATRA_NAMES[Math.floor(index / 4)]}-${(index % 4) + 1}`;
+};
+
+// Entry of a body into each sign, nakshatra or pada; `retrograde` marks an
+// entry made moving backwards into the previous division.
+const findIngresses = (body, kind, fromJd, toJd) => {
+  const span = SPANS[kind];
+  const count = Math.round(360 / span);
+  return findChanges(
+      fromJd,
+      toJd,
+      (jd) => Math.floor(body.longitude(jd) / span) % count,
+      (jd) => STEP_FRACTION * span / Math.abs(body.speed(jd)),
+  ).map((change) => ({
+    jd: change.jd,
+    body: body.name,
+    type: `${kind}_ingress`,
+    from: describeIngress(kind, change.from),
+    to: describeIngress(kind, change.to),
+    retrograde: (change.to - change.from + count) % count === count - 1,
+  }));
+};
+
+// Stations, where the apparent daily motion in longitude changes sign.
+const findStations = (body, fromJd, toJd) => findChanges(
+    fromJd,
+    toJd,
+    (jd) => (body.speed(jd) < 0 ? "retrograde" : "direct"),
+    () => MAX_STEP_DAYS,
+).map((change) => {
+  const longitude = body.longitude(change.jd);
+  return {
+    jd: change.jd,
+    body: body.name,
+    type: "station",
+    station: change.to,
+    sign: SIGN_NAMES[Math.floor(longitude / 30)],
+    degrees: formatDms(getDegInSign(longitude)),
+  };
+});
+
+// Entry into and exit from combustion, using the same orbs as the chart.
+const findCombustion = (body, sun, fromJd, toJd) => {
+  const orb = COMBUSTION_ORBS[body.name].direct;
+  return findChanges(
+      fromJd,
+      toJd,
+      (jd) => isCombust(
+          body.name,
+          body.longitude(jd),
+          sun.longitude(jd),
+          body.speed(jd) < 0,
+      ),
+      (jd) => STEP_FRACTION * orb / Math.abs(body.speed(jd) - sun.speed(jd)),
+  ).map((change) => ({
+    jd: change.jd,
+    body: body.name,
+    type: "combustion",
+    state: change.to ? "enter" : "exit",
+  }));
+};
+
+// Sign, nakshatra and pada ingresses, stations and combustion changes of
+// the chosen bodies between two instants, in time order. Kinds that do not
+// apply to a body (stations of the luminaries or nodes, combustion of the
+// Sun or nodes) are skipped.
+const searchEvents = (options, ephemerisCache) => {
+  const {startJd, endJd, ayanamsha, nodeType = "mean"} = options;
+  validateRange(startJd, endJd, ephemerisCache);
+  const bodies = resolveList(options.bodies, SEARCH_BODIES, "bodies");
+  const kinds = resolveList(options.events, EVENT_KINDS, "events");
+  const sun = createBody("Sun", ayanamsha, nodeType, ephemerisCache);
+
+  const events = [];
+  bodies.forEach((name) => {
+    const body = createBody(name, ayanamsha, nodeType, ephemerisCache);
+    const isGraha = GRAHA_IDS[name] !== undefined;
+    kinds.forEach((kind) => {
+      if (SPANS[kind]) {
+        events.push(...findIngresses(body, kind, startJd, endJd));
+      } else if (kind === "station" && isGraha &&
+        !["Sun", "Moon"].includes(name)) {
+        events.push(...findStations(body, startJd, endJd));
+      } else if (kind === "combustion" && COMBUSTION_ORBS[name]) {
+        events.push(...findCombustion(body, sun, startJd, endJd));
+      }
+    });
+  });
+
+  return events
+      .sort((a, b) => a.jd - b.jd)
+      .map(({jd, ...event}) => ({time: toIso(jd), ...event}));
+};
+
+module.exports = {
+  validateRange,
+  searchEvents,
+};
@@ -0,0 +1,193 @@
+const {SEI_SUN} = require("../ephemeris/SwissEphemerisFile");
+const {jaimini, zodiac} = require("./constants");
+const {normalizeDegrees} = require("./math");
+const {
+  getSign,
+  getDegInSign,
+  getPlanetLongitude,
+  formatDms,
+} = require("./calculations");
+const {getVargaSign} = require("./varga");
+const {getJaiminiSignLord} = require("./dasha");
+const {findRiseSetEvents} = require("./riseset");
+const {validationError} = require("./errors");
+
+const {CHARA_KARAKAS, SPECIAL_LAGNA_MINUTES} = jaimini;
+const {SIGN_NAMES} = zodiac;
+
+const KARAKA_CANDIDATES = [
+  "Sun",
+  "Moon",
+  "Mars",
+  "Mercury",
+  "Jupiter",
+  "Venus",
+  "Saturn",
+  "Rahu",
+];
+const HOUSES = Array.from({length: 12}, (_, index) => index + 1);
+const NAKSHATRA_SPAN = 360 / 27;
+
+const countSigns = (from, to) => ((to - from + 12) % 12) + 1;
+const stepSign = (sign, steps) => ((sign - 1 + steps + 120) % 12) + 1;
+const longitudeOf = (entry) => (entry.sign - 1) * 30 + entry.degrees;
+
+const resolveKarakaScheme = (karakas = 8) => {
+  const scheme = Number(karakas);
+  if (!CHARA_KARAKAS[scheme]) {
+    throw validationError(`Unsupported karaka scheme: ${karakas}`, {
+      field: "karakas",
+      reason: "unsupported-karaka-scheme",
+      supported: Object.keys(CHARA_KARAKAS).map(Number),
+    });
+  }
+  return scheme;
+};
+
+// Chara karakas by descending degrees in sign. Rahu, counted only in the
+// eight-karaka scheme, moves backwards and so is measured from the end of
+// its sign.
+const getCharaKarakas = (d1, scheme) => {
+  const names = CHARA_KARAKAS[scheme];
+  return KARAKA_CANDIDATES.slice(0, names.length)
+      .map((planet) => ({
+        planet,
+        degrees: planet === "Rahu" ? 30 - d1[planet].degrees :
+          d1[planet].degrees,
+      }))
+      .sort((a, b) => b.degrees - a.degrees)
+      .map((entry, index) => ({
+        karaka: names[index],
+        planet: entry.planet,
+        degrees: formatDms(entry.degrees),
+      }));
+};
+
+// Arudha pada of a house: as many signs from the house lord as the lord is
+// from the house. A pada falling in the house itself or the seventh from
+// it moves to the tenth from there.
+const getArudhaPadas = (d1) => {
+  const signs = {};
+  const degrees = {};
+  Object.keys(d1).forEach((body) => {
+    signs[body] = d1[body].sign;
+    degrees[body] = d1[body].degrees;
+  });
+  return HOUSES.map((house) => {
+    const sign = stepSign(signs.Ascendant, house - 1);
+    const lord = getJaiminiSignLord(sign, signs, degrees);
+    let pada = stepSign(signs[lord], countSigns(sign, signs[lord]) - 1);
+    if ([1, 7].includes(countSigns(sign, pada))) pada = stepSign(pada, 9);
+    return {
+      pada: `A${house}`,
+      house,
+      lord,
+      sign: SIGN_NAMES[pada - 1],
+      house_from_lagna: countSigns(signs.Ascendant, pada),
+    };
+  });
+};
+
+const describeLagna = (longitude, ascSign) => ({
+  sign: SIGN_NAMES[getSign(longitude) - 1],
+  degrees: formatDms(getDegInSign(longitude)),
+  longitude,
+  house_from_lagna: countSigns(ascSign, getSign(longitude)),
+});
+
+// Varnada lagna from the signs of the lagna and hora lagna, each counted
+// from Aries when odd or back from Pisces when even. The counts are added
+// when both signs are odd or both even and otherwise differenced, and the
+// result counted the lagna's way.
+const getVarnadaSign = (lagna, horaLagna) => {
+  const count = (sign) => (sign % 2 === 1 ? sign : 13 - sign);
+  const sameParity = lagna % 2 === horaLagna % 2;
+  const total = sameParity ?
+    count(lagna) + count(horaLagna) :
+    Math.abs(count(lagna) - count(horaLagna));
+  const steps = ((total - 1) % 12 + 12) % 12 + 1;
+  return lagna % 2 === 1 ? steps : 13 - steps;
+};
+
+// Last sunrise at or before `jd`, or null where the Sun does not rise.
+const findSunrise = (jd, observer, ephemerisCache) => {
+  const rise = findRiseSetEvents(
+      SEI_SUN,
+      jd - 1.5,
+      jd,
+      observer,
+      ephemerisCache,
+  ).filter((entry) => entry.event === "rise").pop();
+  return rise ? rise.jd : null;
+};
+
+// Special lagnas. Bhava, hora and ghati lagnas advance from the Sun's
+// longitude at sunrise by a sign every SPECIAL_LAGNA_MINUTES; Sree lagna
+// adds to the lagna the Moon's progress through its nakshatra as a share
+// of the zodiac. The time-based lagnas are null where there is no sunrise.
+const getSpecialLagnas = (options, d1, ephemerisCache) => {
+  const {jd, ayanamsha, lat, lng, altitude} = options;
+  const ascSign = d1.Ascendant.sign;
+  const moon = longitudeOf(d1.Moon);
+  const moonProgress = (moon % NAKSHATRA_SPAN) / NAKSHATRA_SPAN;
+  const sreeLagna = normalizeDegrees(
+      longitudeOf(d1.Ascendant) + moonProgress * 360,
+  );
+
+  const sunrise = findSunrise(jd, {lat, lng, altitude}, ephemerisCache);
+  const lagnas = {};
+  let horaLagna = null;
+  if (sunrise !== null) {
+    const sun = normalizeDegrees(
+        getPlanetLongitude(SEI_SUN, sunrise, ephemerisCache) - ayanamsha,
+    );
+    const minutes = (jd - sunrise) * 1440;
+    Object.keys(SPECIAL_LAGNA_MINUTES).forEach((name) => {
+      const longitude = normalizeDegrees(
+          sun + (minutes / SPECIAL_LAGNA_MINUTES[name]) * 30,
+      );
+      lagnas[name] = describeLagna(longitude, ascSign);
+    });
+    horaLagna = getSign(lagnas.hora_lagna.longitude);
+  } else {
+    Object.keys(SPECIAL_LAGNA_MINUTES).forEach((name) => {
+      lagnas[name] = null;
+    });
+  }
+
+  const varnada = horaLagna && getVarnadaSign(ascSign, horaLagna);
+  return {
+    ...lagnas,
+    varnada_lagna: varnada ? {
+      sign: SIGN_NAMES[varnada - 1],
+      house_from_lagna: countSigns(ascSign, varnada),
+    } : null,
+    sree_lagna: describeLagna(sreeLagna, ascSign),
+  };
+};
+
+// Jaimini chart factors from D1 signs and degrees in sign (keyed by graha,
+// Rahu, Ketu and Ascendant): chara karakas, arudha padas with Arudha Lagna
+// and Upapada, Karakamsha and the special lagnas.
+const buildJaimini = (options, ephemerisCache) => {
+  const {d1} = options;
+  const scheme = resolveKarakaScheme(options.karakas);
+  const karakas = getCharaKarakas(d1, scheme);
+  const padas = getArudhaPadas(d1);
+  const atmakaraka = karakas[0].planet;
+  const karakamsha = getVargaSign("D9", longitudeOf(d1[atmakaraka]));
+
+  return {
+    karaka_scheme: scheme,
+    chara_karakas: karakas,
+    arudha_padas: padas,
+    arudha_lagna: padas[0].sign,
+    upapada: padas[11].sign,
+    karakamsha: {atmakaraka, sign: SIGN_NAMES[karakamsha - 1]},
+    special_lagnas: getSpecialLagnas(options, d1, ephemerisCache),
+  };
+};
+
+module.exports = {
+  buildJaimini,
+};
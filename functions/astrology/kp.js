@@ -0,0 +1,194 @@
+const {SEI_SUN, SEI_MOON} = require("../ephemeris/SwissEphemerisFile");
+const {dasha, strength, zodiac} = require("./constants");
+const {
+  normalizeDegrees,
+  meanObliquity,
+  greenwichSiderealTime,
+  placidusCusps,
+} = require("./math");
+const {
+  getSign,
+  getDegInSign,
+  getKpLords,
+  formatDms,
+  getPlanetLongitude,
+  getPlanetSpeed,
+  getNodeSpeed,
+  getSiderealLongitudes,
+  getSiderealAngles,
+  GRAHA_IDS,
+} = require("./calculations");
+const {findRiseSetEvents} = require("./riseset");
+const {validationError} = require("./errors");
+
+const {DASA_LORDS, DASA_YEARS} = dasha;
+const {WEEKDAY_LORDS} = strength;
+const {SIGN_NAMES, SIGN_LORDS} = zodiac;
+
+// Sub boundaries fall on whole ninths of a degree: a nakshatra holds 120
+// such units, one per Vimshottari year, and a sign 270.
+const UNITS_PER_DEGREE = 9;
+const UNITS_PER_NAKSHATRA = 120;
+const UNITS_PER_SIGN = 270;
+
+const unique = (values) => [...new Set(values)];
+
+// The 249 KP sub-divisions of the zodiac: the nine subs of each nakshatra,
+// with a sub that crosses a sign boundary split in two.
+const buildSubTable = () => {
+  const rows = [];
+  for (let index = 0; index < 27; index += 1) {
+    const starLord = DASA_LORDS[index % DASA_LORDS.length];
+    const first = DASA_LORDS.indexOf(starLord);
+    let start = index * UNITS_PER_NAKSHATRA;
+    DASA_LORDS.forEach((_, offset) => {
+      const subLord = DASA_LORDS[(first + offset) % DASA_LORDS.length];
+      const end = start + DASA_YEARS[subLord];
+      const boundary = (Math.floor(start / UNITS_PER_SIGN) + 1) *
+        UNITS_PER_SIGN;
+      const pieces = end > boundary ?
+        [[start, boundary], [boundary, end]] :
+        [[start, end]];
+      pieces.forEach(([from, to]) => {
+        const sign = Math.floor(from / UNITS_PER_SIGN) + 1;
+        rows.push({
+          number: rows.length + 1,
+          sign: SIGN_NAMES[sign - 1],
+          sign_lord: SIGN_LORDS[sign - 1],
+          star_lord: starLord,
+          sub_lord: subLord,
+          start: from / UNITS_PER_DEGREE,
+          end: to / UNITS_PER_DEGREE,
+        });
+      });
+      start = end;
+    });
+  }
+  return rows;
+};
+
+const SUB_TABLE = buildSubTable();
+
+// House holding a longitude, between its cusp and the next.
+const getCuspHouse = (longitude, cusps) => {
+  const index = cusps.findIndex((cusp, house) => normalizeDegrees(
+      longitude - cusp,
+  ) < normalizeDegrees(cusps[(house + 1) % 12] - cusp));
+  return index + 1;
+};
+
+const describeLongitude = (longitude) => ({
+  longitude,
+  sign: SIGN_NAMES[getSign(longitude) - 1],
+  degrees: formatDms(getDegInSign(longitude)),
+  ...getKpLords(longitude),
+});
+
+// Significators of each house in descending strength: planets in the star
+// of an occupant, the occupants, planets in the star of the cusp's sign
+// lord, and that lord.
+const getSignificators = (planets, cusps) => cusps.map((cusp) => {
+  const occupants = planets
+      .filter((entry) => entry.house === cusp.house)
+      .map((entry) => entry.planet);
+  const inStarOf = (lords) => planets
+      .filter((entry) => lords.includes(entry.star_lord))
+      .map((entry) => entry.planet);
+  return {
+    house: cusp.house,
+    in_star_of_occupants: inStarOf(occupants),
+    occupants,
+    in_star_of_lord: inStarOf([cusp.sign_lord]),
+    lord: cusp.sign_lord,
+  };
+});
+
+// Ruling planets at a moment and place: the lord of the weekday begun at
+// the last sunrise, and the sign, star and sub lords of the lagna and the
+// Moon. `combined` lists them once each, strongest first.
+const getRulingPlanets = (options, ephemerisCache) => {
+  const {jd, lat, lng, altitude, ayanamsha} = options;
+  const sunrise = findRiseSetEvents(
+      SEI_SUN,
+      jd - 1.5,
+      jd,
+      {lat, lng, altitude},
+      ephemerisCache,
+  ).filter((entry) => entry.event === "rise").pop();
+  // Weekday in local mean time, from Sunday; without a sunrise the civil
+  // day stands in.
+  const dayStart = sunrise ? sunrise.jd : jd;
+  const dayLord = WEEKDAY_LORDS[Math.floor(dayStart + 1.5 + lng / 360) % 7];
+  const lagna = getKpLords(getSiderealAngles(jd, lat, lng, ayanamsha)
+      .ascendant);
+  const moon = getKpLords(normalizeDegrees(
+      getPlanetLongitude(SEI_MOON, jd, ephemerisCache) - ayanamsha,
+  ));
+  return {
+    day_lord: dayLord,
+    lagna,
+    moon,
+    combined: unique([
+      lagna.star_lord,
+      lagna.sign_lord,
+      moon.star_lord,
+      moon.sign_lord,
+      dayLord,
+      lagna.sub_lord,
+      moon.sub_lord,
+    ]),
+  };
+};
+
+// Krishnamurti Paddhati chart: star, sub and sub-sub lords of the grahas
+// and Placidus cusps, cuspal house placement, four-level significators,
+// and the ruling planets at `query` ({jd, lat, lng, altitude, ayanamsha}).
+const buildKpChart = (options, ephemerisCache) => {
+  const {jd, lat, lng, ayanamsha, nodeType, query} = options;
+  const tropicalCusps = placidusCusps(
+      normalizeDegrees(greenwichSiderealTime(jd) + lng),
+      meanObliquity(jd),
+      lat,
+  );
+  if (!tropicalCusps) {
+    throw validationError("Placidus cusps are undefined at this latitude", {
+      field: "lat",
+      reason: "placidus-undefined",
+    });
+  }
+  const cuspLongitudes = tropicalCusps.map(
+      (cusp) => normalizeDegrees(cusp - ayanamsha),
+  );
+  const cusps = cuspLongitudes.map((longitude, index) => ({
+    house: index + 1,
+    ...describeLongitude(longitude),
+  }));
+
+  const longitudes = getSiderealLongitudes(
+      jd,
+      ayanamsha,
+      ephemerisCache,
+      nodeType,
+  );
+  const planets = Object.keys(longitudes).map((planet) => ({
+    planet,
+    ...describeLongitude(longitudes[planet]),
+    retrograde: (GRAHA_IDS[planet] === undefined ?
+      getNodeSpeed(jd, nodeType, ephemerisCache) :
+      getPlanetSpeed(GRAHA_IDS[planet], jd, ephemerisCache)) < 0,
+    house: getCuspHouse(longitudes[planet], cuspLongitudes),
+  }));
+
+  return {
+    planets,
+    cusps,
+    significators: getSignificators(planets, cusps),
+    ruling_planets: getRulingPlanets(query, ephemerisCache),
+    ...(options.includeSubTable && {sub_table: SUB_TABLE}),
+  };
+};
+
+module.exports = {
+  SUB_TABLE,
+  buildKpChart,
+};
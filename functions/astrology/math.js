@@ -1,3 +1,5 @@
+const {validationError} = require("./errors");
+
 const J2000 = 2451545.0;
 
 const normalizeDegrees = (degrees) => ((degrees % 360) + 360) % 360;
@@ -23,6 +25,59 @@ const toJulianDay = (date) => {
   return jdDay + dayFraction;
 };
 
+const UNIX_EPOCH_JD = 2440587.5;
+
+const fromJulianDay = (jd) => new Date((jd - UNIX_EPOCH_JD) * 86400000);
+
+// Delta T = TT - UT in seconds, from the Espenak-Meeus polynomials (NASA
+// eclipse canon). The ephemeris files are in TT; civil times are UT.
+const deltaT = (jd) => {
+  const y = 2000 + (jd - J2000) / 365.25;
+  const poly = (t, coefficients) => coefficients.reduceRight(
+      (sum, c) => sum * t + c,
+      0,
+  );
+  const longTerm = (year) => -20 + 32 * ((year - 1820) / 100) ** 2;
+  if (y < -500) return longTerm(y);
+  if (y < 500) {
+    return poly(y / 100, [10583.6, -1014.41, 33.78311, -5.952053,
+      -0.1798452, 0.022174192, 0.0090316521]);
+  }
+  if (y < 1600) {
+    return poly((y - 1000) / 100, [1574.2, -556.01, 71.23472, 0.319781,
+      -0.8503463, -0.005050998, 0.0083572073]);
+  }
+  if (y < 1700) return poly(y - 1600, [120, -0.9808, -0.01532, 1 / 7129]);
+  if (y < 1800) {
+    return poly(y - 1700, [8.83, 0.1603, -0.0059285, 0.00013336,
+      -1 / 1174000]);
+  }
+  if (y < 1860) {
+    return poly(y - 1800, [13.72, -0.332447, 0.0068612, 0.0041116,
+      -0.00037436, 0.0000121272, -0.0000001699, 0.000000000875]);
+  }
+  if (y < 1900) {
+    return poly(y - 1860, [7.62, 0.5737, -0.251754, 0.01680668,
+      -0.0004473624, 1 / 233174]);
+  }
+  if (y < 1920) {
+    return poly(y - 1900, [-2.79, 1.494119, -0.0598939, 0.0061966,
+      -0.000197]);
+  }
+  if (y < 1941) {
+    return poly(y - 1920, [21.2, 0.84493, -0.0761, 0.0020936]);
+  }
+  if (y < 1961) return poly(y - 1950, [29.07, 0.407, -1 / 233, 1 / 2547]);
+  if (y < 1986) return poly(y - 1975, [45.45, 1.067, -1 / 260, -1 / 718]);
+  if (y < 2005) {
+    return poly(y - 2000, [63.86, 0.3345, -0.060374, 0.0017275,
+      0.000651814, 0.00002373599]);
+  }
+  if (y < 2050) return poly(y - 2000, [62.92, 0.32217, 0.005589]);
+  if (y < 2150) return longTerm(y) - 0.5628 * (2150 - y);
+  return longTerm(y);
+};
+
 const meanObliquity = (jd) => {
   const T = (jd - J2000) / 36525.0;
   const seconds = 21.448 -
@@ -33,6 +88,59 @@ const meanObliquity = (jd) => {
   return degrees * (Math.PI / 180);
 };
 
+// Accumulated general precession in longitude (IAU 2006), in degrees.
+const generalPrecession = (jd) => {
+  const T = (jd - J2000) / 36525.0;
+  const arcsec = 5028.796195 * T +
+    1.1054348 * T * T +
+    0.00007964 * T * T * T;
+  return arcsec / 3600;
+};
+
+// Precess J2000 equatorial coordinates (degrees) to the mean equator and
+// equinox of date using the IAU 1976 angles.
+const precessEquatorial = (raDegrees, decDegrees, jd) => {
+  const T = (jd - J2000) / 36525.0;
+  const toRad = Math.PI / 180;
+  const arcsec = toRad / 3600;
+  const zeta = (2306.2181 * T + 0.30188 * T * T + 0.017998 * T * T * T) *
+    arcsec;
+  const z = (2306.2181 * T + 1.09468 * T * T + 0.018203 * T * T * T) * arcsec;
+  const theta = (2004.3109 * T - 0.42665 * T * T - 0.041833 * T * T * T) *
+    arcsec;
+  const ra = raDegrees * toRad;
+  const dec = decDegrees * toRad;
+  const A = Math.cos(dec) * Math.sin(ra + zeta);
+  const B = Math.cos(theta) * Math.cos(dec) * Math.cos(ra + zeta) -
+    Math.sin(theta) * Math.sin(dec);
+  const C = Math.sin(theta) * Math.cos(dec) * Math.cos(ra + zeta) +
+    Math.cos(theta) * Math.sin(dec);
+  return {
+    ra: normalizeDegrees((Math.atan2(A, B) + z) / toRad),
+    dec: Math.asin(C) / toRad,
+  };
+};
+
+const equatorialToEcliptic = (raDegrees, decDegrees, eps) => {
+  const ra = raDegrees * (Math.PI / 180);
+  const dec = decDegrees * (Math.PI / 180);
+  const lon = Math.atan2(
+      Math.sin(ra) * Math.cos(eps) + Math.tan(dec) * Math.sin(eps),
+      Math.cos(ra),
+  );
+  const lat = Math.asin(
+      Math.sin(dec) * Math.cos(eps) -
+      Math.cos(dec) * Math.sin(eps) * Math.sin(ra),
+  );
+  return {
+    lon: normalizeDegrees(lon * (180 / Math.PI)),
+    lat: lat * (180 / Math.PI),
+  };
+};
+
+const equatorialToEclipticLongitude = (raDegrees, decDegrees, eps) =>
+  equatorialToEcliptic(raDegrees, decDegrees, eps).lon;
+
 const greenwichSiderealTime = (jd) => {
   const T = (jd - J2000) / 36525.0;
   let gmst = 280.46061837 +
@@ -56,20 +164,120 @@ const meanNodeLongitude = (jd) => {
   return normalizeDegrees(omega) * (Math.PI / 180);
 };
 
-const toEclipticLongitude = (vector, jd) => {
-  const eps = meanObliquity(jd);
-  const x = vector[0];
-  const y = vector[1] * Math.cos(eps) + vector[2] * Math.sin(eps);
-  const lon = Math.atan2(y, x);
-  return normalizeDegrees(lon * (180 / Math.PI));
+const ascendantLongitude = (lstDegrees, eps, latDegrees) => {
+  if (Math.abs(latDegrees) >= 90) {
+    throw validationError(`Ascendant undefined at latitude ${latDegrees}`, {
+      field: "lat",
+      reason: "ascendant-undefined",
+      value: latDegrees,
+    });
+  }
+  const ramc = lstDegrees * (Math.PI / 180);
+  const phi = latDegrees * (Math.PI / 180);
+  const y = Math.cos(ramc);
+  const x = -(Math.sin(ramc) * Math.cos(eps) + Math.tan(phi) * Math.sin(eps));
+  if (Math.abs(x) < 1e-10 && Math.abs(y) < 1e-10) {
+    // The ecliptic coincides with the horizon: every point of it is rising.
+    throw validationError(
+        `Ascendant undefined: ecliptic lies on the horizon at ` +
+        `latitude ${latDegrees}`,
+        {field: "lat", reason: "ascendant-undefined", value: latDegrees},
+    );
+  }
+  let asc = normalizeDegrees(Math.atan2(y, x) * (180 / Math.PI));
+
+  // Above the polar circles atan2 can return the setting point; the
+  // ascendant is by definition the ecliptic degree on the eastern horizon.
+  const lambda = asc * (Math.PI / 180);
+  const ra = Math.atan2(Math.sin(lambda) * Math.cos(eps), Math.cos(lambda));
+  if (Math.sin(ramc - ra) > 0) asc = normalizeDegrees(asc + 180);
+  return asc;
+};
+
+const midheavenLongitude = (lstDegrees, eps) => {
+  const ramc = lstDegrees * (Math.PI / 180);
+  const mc = Math.atan2(Math.sin(ramc), Math.cos(ramc) * Math.cos(eps));
+  return normalizeDegrees(mc * (180 / Math.PI));
 };
 
+// Placidus cusps, tropical longitudes of houses 1 to 12. Houses 11, 12, 2
+// and 3 trisect the diurnal and nocturnal semi-arcs of their own degree,
+// found by iteration; the rest are the angles and their opposites. Null
+// where a cusp's degree never rises or sets, as it may inside the polar
+// circles.
+const placidusCusps = (lstDegrees, eps, latDegrees) => {
+  const rad = Math.PI / 180;
+  const tanPhi = Math.tan(latDegrees * rad);
+  // Ecliptic degree at a right ascension and its diurnal semi-arc.
+  const semiArc = (ra) => {
+    const lambda = Math.atan2(
+        Math.sin(ra * rad),
+        Math.cos(ra * rad) * Math.cos(eps),
+    );
+    const dec = Math.asin(Math.sin(eps) * Math.sin(lambda));
+    const cosArc = -tanPhi * Math.tan(dec);
+    if (Math.abs(cosArc) > 1) return null;
+    return {
+      lambda: normalizeDegrees(lambda / rad),
+      arc: Math.acos(cosArc) / rad,
+    };
+  };
+  // Right ascension of a cusp from the diurnal semi-arc of its degree.
+  const offsets = {
+    11: (arc) => arc / 3,
+    12: (arc) => (2 * arc) / 3,
+    2: (arc) => arc + (180 - arc) / 3,
+    3: (arc) => arc + (2 * (180 - arc)) / 3,
+  };
+  const cusps = [];
+  cusps[1] = ascendantLongitude(lstDegrees, eps, latDegrees);
+  cusps[10] = midheavenLongitude(lstDegrees, eps);
+  for (const house of [11, 12, 2, 3]) {
+    let ra = lstDegrees + offsets[house](90);
+    let point = null;
+    for (let iteration = 0; iteration < 50; iteration += 1) {
+      point = semiArc(ra);
+      if (!point) return null;
+      const next = lstDegrees + offsets[house](point.arc);
+      if (Math.abs(next - ra) < 1e-9) break;
+      ra = next;
+    }
+    cusps[house] = point.lambda;
+  }
+  [1, 2, 3, 10, 11, 12].forEach((house) => {
+    cusps[((house + 5) % 12) + 1] = normalizeDegrees(cusps[house] + 180);
+  });
+  return cusps.slice(1);
+};
+
+// Ecliptic longitude and latitude, mean equinox of date, of a J2000
+// equatorial vector.
+const toEclipticOfDate = (vector, jd) => {
+  const [x, y, z] = vector;
+  const ra = Math.atan2(y, x) * (180 / Math.PI);
+  const dec = Math.atan2(z, Math.hypot(x, y)) * (180 / Math.PI);
+  const ofDate = precessEquatorial(ra, dec, jd);
+  return equatorialToEcliptic(ofDate.ra, ofDate.dec, meanObliquity(jd));
+};
+
+const toEclipticLongitude = (vector, jd) => toEclipticOfDate(vector, jd).lon;
+
 module.exports = {
   J2000,
   normalizeDegrees,
   toJulianDay,
+  fromJulianDay,
+  deltaT,
   meanObliquity,
+  generalPrecession,
+  precessEquatorial,
+  equatorialToEcliptic,
+  equatorialToEclipticLongitude,
   greenwichSiderealTime,
   meanNodeLongitude,
+  ascendantLongitude,
+  midheavenLongitude,
+  placidusCusps,
+  toEclipticOfDate,
   toEclipticLongitude,
 };
@@ -0,0 +1,157 @@
+const {SEI_SUN} = require("../ephemeris/SwissEphemerisFile");
+const {muhurta, panchanga, strength} = require("./constants");
+const {fromJulianDay} = require("./math");
+const {findRiseSetEvents} = require("./riseset");
+const {validationError} = require("./errors");
+
+const {
+  RAHU_KAAL_PARTS,
+  YAMAGANDA_PARTS,
+  GULIKA_PARTS,
+  DUR_MUHURTAS,
+  CHOGHADIYA_NAMES,
+  CHOGHADIYA_NATURE,
+} = muhurta;
+const {VARA_NAMES} = panchanga;
+const {WEEKDAY_LORDS, HORA_ORDER} = strength;
+
+const toIso = (jd) => fromJulianDay(jd).toISOString();
+
+// The `number`th (1-based) of `count` equal parts of an interval.
+const getPart = (start, end, count, number) => {
+  const length = (end - start) / count;
+  return {
+    start: toIso(start + (number - 1) * length),
+    end: toIso(start + number * length),
+  };
+};
+
+// Sunrise on the civil day beginning at `startJd`, with the sunset before it
+// and the sunset and sunrise after it.
+const getSolarBounds = (startJd, observer, ephemerisCache) => {
+  const events = findRiseSetEvents(
+      SEI_SUN,
+      startJd - 1,
+      startJd + 2,
+      observer,
+      ephemerisCache,
+  );
+  const sunrise = events.find((entry) => entry.event === "rise" &&
+    entry.jd >= startJd && entry.jd < startJd + 1);
+  const sunset = sunrise && events.find(
+      (entry) => entry.event === "set" && entry.jd > sunrise.jd,
+  );
+  const nextSunrise = sunset && events.find(
+      (entry) => entry.event === "rise" && entry.jd > sunset.jd,
+  );
+  const previousSunset = sunrise && events.filter(
+      (entry) => entry.event === "set" && entry.jd < sunrise.jd,
+  ).pop();
+  if (!nextSunrise || !previousSunset) {
+    throw validationError(
+        "The Sun does not rise and set on this date at this location",
+        {field: "lat", reason: "no-sunrise"},
+    );
+  }
+  return {
+    previousSunset: previousSunset.jd,
+    sunrise: sunrise.jd,
+    sunset: sunset.jd,
+    nextSunrise: nextSunrise.jd,
+  };
+};
+
+// Day and night choghadiyas. By day each follows the next planet in
+// HORA_ORDER from the weekday lord; the night starts five places on and
+// advances five at a time.
+const getChoghadiya = (weekdayLord, bounds) => {
+  const first = HORA_ORDER.indexOf(weekdayLord);
+  const describe = (lordIndex, start, end, number) => {
+    const lord = HORA_ORDER[lordIndex % HORA_ORDER.length];
+    const name = CHOGHADIYA_NAMES[lord];
+    return {
+      number,
+      name,
+      lord,
+      nature: CHOGHADIYA_NATURE[name],
+      ...getPart(start, end, 8, number),
+    };
+  };
+  const numbers = [1, 2, 3, 4, 5, 6, 7, 8];
+  return {
+    day: numbers.map((number) => describe(
+        first + number - 1,
+        bounds.sunrise,
+        bounds.sunset,
+        number,
+    )),
+    night: numbers.map((number) => describe(
+        first + 5 * number,
+        bounds.sunset,
+        bounds.nextSunrise,
+        number,
+    )),
+  };
+};
+
+// Twelve unequal horas each for the day and the night, the first ruled by
+// the weekday lord and the rest following HORA_ORDER.
+const getHoras = (weekdayLord, bounds) => {
+  const first = HORA_ORDER.indexOf(weekdayLord);
+  return Array.from({length: 24}, (_, index) => {
+    const isDay = index < 12;
+    const number = (index % 12) + 1;
+    return {
+      number: index + 1,
+      period: isDay ? "day" : "night",
+      lord: HORA_ORDER[(first + index) % HORA_ORDER.length],
+      ...(isDay ?
+        getPart(bounds.sunrise, bounds.sunset, 12, number) :
+        getPart(bounds.sunset, bounds.nextSunrise, 12, number)),
+    };
+  });
+};
+
+// Muhurta windows for the civil day beginning at local midnight `startJd`,
+// all measured from that day's sunrise and sunset. The day and the night
+// each hold 15 muhurtas and 8 parts for the kaalas and choghadiyas.
+const buildMuhurta = (options, ephemerisCache) => {
+  const {startJd, weekday, lat, lng, altitude} = options;
+  const bounds = getSolarBounds(startJd, {lat, lng, altitude}, ephemerisCache);
+  const {previousSunset, sunrise, sunset, nextSunrise} = bounds;
+  const weekdayLord = WEEKDAY_LORDS[weekday];
+  const durMuhurtas = DUR_MUHURTAS[weekday];
+
+  return {
+    vara: {name: VARA_NAMES[weekday], lord: weekdayLord},
+    sunrise: toIso(sunrise),
+    sunset: toIso(sunset),
+    next_sunrise: toIso(nextSunrise),
+    rahu_kaal: getPart(sunrise, sunset, 8, RAHU_KAAL_PARTS[weekday]),
+    yamaganda: getPart(sunrise, sunset, 8, YAMAGANDA_PARTS[weekday]),
+    gulika_kaal: getPart(sunrise, sunset, 8, GULIKA_PARTS[weekday]),
+    // Abhijit is the eighth day muhurta, held inauspicious on Wednesdays.
+    abhijit: {
+      ...getPart(sunrise, sunset, 15, 8),
+      auspicious: weekdayLord !== "Mercury",
+    },
+    // Brahma muhurta is the fourteenth muhurta of the preceding night.
+    brahma_muhurta: getPart(previousSunset, sunrise, 15, 14),
+    dur_muhurta: [
+      ...durMuhurtas.day.map((number) => ({
+        period: "day",
+        ...getPart(sunrise, sunset, 15, number),
+      })),
+      ...durMuhurtas.night.map((number) => ({
+        period: "night",
+        ...getPart(sunset, nextSunrise, 15, number),
+      })),
+    ],
+    choghadiya: getChoghadiya(weekdayLord, bounds),
+    horas: getHoras(weekdayLord, bounds),
+  };
+};
+
+module.exports = {
+  buildMuhurta,
+};
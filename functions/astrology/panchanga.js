@@ -0,0 +1,212 @@
+const {SEI_SUN, SEI_MOON} = require("../ephemeris/SwissEphemerisFile");
+const {panchanga, zodiac, dasha, strength} = require("./constants");
+const {normalizeDegrees, fromJulianDay} = require("./math");
+const {
+  getSign,
+  getAyanamsha,
+  getPlanetLongitude,
+  getTithiName,
+} = require("./calculations");
+const {getRiseTransitSet} = require("./riseset");
+
+const {
+  YOGA_NAMES,
+  MOVABLE_KARANAS,
+  FIXED_KARANAS,
+  LUNAR_MONTHS,
+  VARA_NAMES,
+} = panchanga;
+const {NAKSHATRA_NAMES} = zodiac;
+const {DASA_LORDS} = dasha;
+const {WEEKDAY_LORDS} = strength;
+
+const NAKSHATRA_SPAN = 360 / 27;
+const SYNODIC_MONTH = 29.530588;
+const SEARCH_STEP = 0.25;
+const TOLERANCE_DAYS = 1 / 86400;
+
+const toIso = (jd) => (jd === null ? null : fromJulianDay(jd).toISOString());
+
+// Sidereal Sun and Moon longitudes as functions of time.
+const createSky = (ayanamshaSelection, ephemerisCache) => {
+  const sidereal = (ipli) => (jd) => normalizeDegrees(
+      getPlanetLongitude(ipli, jd, ephemerisCache) -
+      getAyanamsha(jd, ayanamshaSelection).value,
+  );
+  return {sun: sidereal(SEI_SUN), moon: sidereal(SEI_MOON)};
+};
+
+// The five limbs as steadily increasing angles divided into equal spans.
+const createLimbs = (sky) => ({
+  tithi: {
+    span: 12,
+    angle: (jd) => normalizeDegrees(sky.moon(jd) - sky.sun(jd)),
+    describe: (index) => ({number: index + 1, ...getTithiName(index)}),
+  },
+  nakshatra: {
+    span: NAKSHATRA_SPAN,
+    angle: (jd) => sky.moon(jd),
+    describe: (index) => ({
+      number: index + 1,
+      name: NAKSHATRA_NAMES[index],
+      lord: DASA_LORDS[index % DASA_LORDS.length],
+    }),
+  },
+  yoga: {
+    span: NAKSHATRA_SPAN,
+    angle: (jd) => normalizeDegrees(sky.moon(jd) + sky.sun(jd)),
+    describe: (index) => ({number: index + 1, name: YOGA_NAMES[index]}),
+  },
+  karana: {
+    span: 6,
+    angle: (jd) => normalizeDegrees(sky.moon(jd) - sky.sun(jd)),
+    describe: (index) => ({
+      number: index + 1,
+      name: FIXED_KARANAS[index] ||
+        MOVABLE_KARANAS[(index - 1) % MOVABLE_KARANAS.length],
+    }),
+  },
+});
+
+// Time at which an increasing angle reaches `target`, searching forward
+// (direction 1) or backward (-1) from startJd: stepped to bracket the
+// crossing, then bisected to within a second.
+const findAngleCrossing = (angle, target, startJd, direction = 1) => {
+  const offset = (jd) => normalizeDegrees(angle(jd) - target + 180) - 180;
+  let near = startJd;
+  let nearValue = offset(near);
+  for (let step = 0; step < 200; step += 1) {
+    const far = near + direction * SEARCH_STEP;
+    const farValue = offset(far);
+    const [before, after] = direction > 0 ?
+      [nearValue, farValue] :
+      [farValue, nearValue];
+    if (before < 0 && after >= 0) {
+      let low = Math.min(near, far);
+      let high = Math.max(near, far);
+      while (high - low > TOLERANCE_DAYS) {
+        const mid = (low + high) / 2;
+        if (offset(mid) < 0) low = mid;
+        else high = mid;
+      }
+      return (low + high) / 2;
+    }
+    near = far;
+    nearValue = farValue;
+  }
+  throw new Error(`No crossing of ${target} degrees found`);
+};
+
+const getLimbAt = (limb, jd) => {
+  const count = Math.round(360 / limb.span);
+  const index = Math.floor(limb.angle(jd) / limb.span) % count;
+  return {
+    ...limb.describe(index),
+    start: findAngleCrossing(limb.angle, index * limb.span, jd, -1),
+    end: findAngleCrossing(
+        limb.angle,
+        ((index + 1) % count) * limb.span,
+        jd,
+    ),
+  };
+};
+
+// Every instance of a limb in force between two instants, in order.
+const getLimbsBetween = (limb, fromJd, toJd) => {
+  const entries = [];
+  let cursor = fromJd;
+  while (cursor < toJd) {
+    const entry = getLimbAt(limb, cursor);
+    entries.push({...entry, start: toIso(entry.start), end: toIso(entry.end)});
+    cursor = entry.end + TOLERANCE_DAYS;
+  }
+  return entries;
+};
+
+// Amanta month in force at `jd`: named from the Sun's sign at the new moon
+// that began it, and adhika when no sankranti falls before the next one.
+const getLunarMonth = (sky, jd) => {
+  const elongation = (t) => normalizeDegrees(sky.moon(t) - sky.sun(t));
+  const start = findAngleCrossing(elongation, 0, jd, -1);
+  const end = findAngleCrossing(elongation, 0, jd + TOLERANCE_DAYS);
+  const startSign = getSign(sky.sun(start));
+  return {
+    index: startSign % 12,
+    adhika: getSign(sky.sun(end)) === startSign,
+    start,
+    end,
+  };
+};
+
+// Shaka and Vikram (Chaitradi) years, which begin with Chaitra Shukla
+// Pratipada rather than on 1 January.
+const getSamvat = (sky, jd, month = getLunarMonth(sky, jd)) => {
+  const chaitraStart = month.start - month.index * SYNODIC_MONTH;
+  const year = fromJulianDay(chaitraStart + SYNODIC_MONTH / 2)
+      .getUTCFullYear();
+  return {shaka: year - 78, vikram_samvat: year + 57};
+};
+
+const monthName = (index, adhika) =>
+  `${adhika ? "Adhika " : ""}${LUNAR_MONTHS[index]}`;
+
+// Panchanga for the civil day beginning at local midnight `startJd`.
+// Limbs are listed from sunrise to the next sunrise; where the Sun does not
+// rise, the civil day is used instead.
+const buildPanchanga = (options, ephemerisCache) => {
+  const {startJd, weekday, lat, lng, altitude, ayanamsha} = options;
+  const sky = createSky(ayanamsha, ephemerisCache);
+  const limbs = createLimbs(sky);
+
+  const observer = {lat, lng, altitude};
+  const riseSet = (ipli, jd) =>
+    getRiseTransitSet(ipli, jd, observer, ephemerisCache);
+  const sun = riseSet(SEI_SUN, startJd);
+  const moon = riseSet(SEI_MOON, startJd);
+  const dayStart = sun.rise === null ? startJd : sun.rise;
+  const nextRise = riseSet(SEI_SUN, startJd + 1).rise;
+  const dayEnd = nextRise === null ? startJd + 1 : nextRise;
+
+  const month = getLunarMonth(sky, dayStart);
+  const tithi = getLimbsBetween(limbs.tithi, dayStart, dayEnd);
+  const paksha = tithi[0].paksha;
+  const purnimantaIndex = paksha === "Krishna" ?
+    (month.index + 1) % 12 :
+    month.index;
+
+  return {
+    vara: {
+      name: VARA_NAMES[weekday],
+      lord: WEEKDAY_LORDS[weekday],
+    },
+    sunrise: toIso(sun.rise),
+    sunset: toIso(sun.set),
+    solar_noon: toIso(sun.transit),
+    moonrise: toIso(moon.rise),
+    moonset: toIso(moon.set),
+    next_sunrise: toIso(nextRise),
+    sun_status: sun.status,
+    moon_status: moon.status,
+    tithi,
+    nakshatra: getLimbsBetween(limbs.nakshatra, dayStart, dayEnd),
+    yoga: getLimbsBetween(limbs.yoga, dayStart, dayEnd),
+    karana: getLimbsBetween(limbs.karana, dayStart, dayEnd),
+    paksha,
+    lunar_month: {
+      amanta: monthName(month.index, month.adhika),
+      purnimanta: monthName(purnimantaIndex, month.adhika),
+      adhika: month.adhika,
+      start: toIso(month.start),
+      end: toIso(month.end),
+    },
+    ...getSamvat(sky, dayStart, month),
+  };
+};
+
+module.exports = {
+  createSky,
+  findAngleCrossing,
+  getLunarMonth,
+  getSamvat,
+  buildPanchanga,
+};
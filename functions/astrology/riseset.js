@@ -0,0 +1,193 @@
+const {
+  SEI_SUN,
+  SEI_MOON,
+  SEI_MERCURY,
+  SEI_VENUS,
+  SEI_MARS,
+  SEI_JUPITER,
+  SEI_SATURN,
+  SEI_URANUS,
+  SEI_NEPTUNE,
+  SEI_PLUTO,
+} = require("../ephemeris/SwissEphemerisFile");
+const {
+  normalizeDegrees,
+  greenwichSiderealTime,
+  precessEquatorial,
+} = require("./math");
+const {getGeocentricVector} = require("./calculations");
+const {validationError} = require("./errors");
+
+const AU_KM = 149597870.7;
+const EARTH_RADIUS_KM = 6378.137;
+const BODY_RADIUS_KM = {
+  [SEI_SUN]: 696000,
+  [SEI_MOON]: 1737.4,
+  [SEI_MERCURY]: 2439.7,
+  [SEI_VENUS]: 6051.8,
+  [SEI_MARS]: 3396.2,
+  [SEI_JUPITER]: 71492,
+  [SEI_SATURN]: 60268,
+  [SEI_URANUS]: 25559,
+  [SEI_NEPTUNE]: 24764,
+  [SEI_PLUTO]: 1188.3,
+};
+// Standard horizontal refraction, in degrees.
+const REFRACTION = 34 / 60;
+const DISC_POINTS = ["upper", "center", "lower"];
+const DEFAULT_OPTIONS = {disc: "upper", refraction: true};
+const STEP_DAYS = 10 / 1440;
+const TOLERANCE_DAYS = 1 / 86400;
+const DEG = Math.PI / 180;
+
+const resolveOptions = (options = {}) => {
+  const resolved = {...DEFAULT_OPTIONS, ...options};
+  if (!DISC_POINTS.includes(resolved.disc)) {
+    throw validationError(`Unknown disc point: ${resolved.disc}`, {
+      field: "disc",
+      reason: "unknown-disc",
+      supported: DISC_POINTS,
+    });
+  }
+  resolved.refraction = resolved.refraction !== false;
+  return resolved;
+};
+
+// Height of the chosen point of the disc above the apparent horizon, in
+// degrees, and the body's local hour angle in (-180, 180]. The horizon is
+// lowered by the dip seen from `observer.altitude` metres and raised by the
+// body's horizontal parallax.
+const getHorizonState = (ipli, jd, observer, ephemerisCache, options) => {
+  const [x, y, z] = getGeocentricVector(ipli, jd, ephemerisCache);
+  const distanceKm = Math.hypot(x, y, z) * AU_KM;
+  const ofDate = precessEquatorial(
+      Math.atan2(y, x) / DEG,
+      Math.atan2(z, Math.hypot(x, y)) / DEG,
+      jd,
+  );
+  const hourAngle = normalizeDegrees(
+      greenwichSiderealTime(jd) + observer.lng - ofDate.ra + 180,
+  ) - 180;
+  const phi = observer.lat * DEG;
+  const dec = ofDate.dec * DEG;
+  const altitude = Math.asin(
+      Math.sin(phi) * Math.sin(dec) +
+      Math.cos(phi) * Math.cos(dec) * Math.cos(hourAngle * DEG),
+  ) / DEG;
+
+  const semiDiameter = Math.asin((BODY_RADIUS_KM[ipli] || 0) / distanceKm) /
+    DEG;
+  const parallax = Math.asin(EARTH_RADIUS_KM / distanceKm) / DEG;
+  const elevationKm = Math.max(0, observer.altitude || 0) / 1000;
+  const dip = Math.acos(EARTH_RADIUS_KM / (EARTH_RADIUS_KM + elevationKm)) /
+    DEG;
+  let limb = 0;
+  if (options.disc === "upper") limb = semiDiameter;
+  else if (options.disc === "lower") limb = -semiDiameter;
+
+  return {
+    height: altitude - parallax + limb + dip +
+      (options.refraction ? REFRACTION : 0),
+    hourAngle,
+  };
+};
+
+const bisect = (fn, lo, hi) => {
+  let low = lo;
+  let high = hi;
+  const lowSign = Math.sign(fn(low));
+  while (high - low > TOLERANCE_DAYS) {
+    const mid = (low + high) / 2;
+    if (Math.sign(fn(mid)) === lowSign) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+};
+
+// Every rise, set and upper meridian transit of a body between two
+// instants, in order. The observer is {lat, lng, altitude} with the
+// altitude in metres; options choose the disc point and refraction.
+const findRiseSetEvents = (
+    ipli,
+    fromJd,
+    toJd,
+    observer,
+    ephemerisCache,
+    options,
+) => {
+  const settings = resolveOptions(options);
+  const state = (jd) =>
+    getHorizonState(ipli, jd, observer, ephemerisCache, settings);
+  const height = (jd) => state(jd).height;
+  const hourAngle = (jd) => state(jd).hourAngle;
+
+  const events = [];
+  let previousJd = fromJd;
+  let previous = state(fromJd);
+  while (previousJd < toJd) {
+    const jd = Math.min(previousJd + STEP_DAYS, toJd);
+    const current = state(jd);
+    if (previous.height < 0 && current.height >= 0) {
+      events.push({event: "rise", jd: bisect(height, previousJd, jd)});
+    }
+    if (previous.height >= 0 && current.height < 0) {
+      events.push({event: "set", jd: bisect(height, previousJd, jd)});
+    }
+    // The hour angle wraps from +180 to -180 at lower transit, so only a
+    // rising zero crossing marks the upper one.
+    if (previous.hourAngle < 0 && current.hourAngle >= 0) {
+      events.push({event: "transit", jd: bisect(hourAngle, previousJd, jd)});
+    }
+    previousJd = jd;
+    previous = current;
+  }
+  return events.sort((a, b) => a.jd - b.jd);
+};
+
+// First rise, set and meridian transit of a body between startJd and
+// startJd + spanDays; each is null when it does not happen in the window.
+// `status` is "circumpolar" or "never_rises" when the body stays above or
+// below the horizon throughout, as happens near the poles.
+const getRiseTransitSet = (
+    ipli,
+    startJd,
+    observer,
+    ephemerisCache,
+    options,
+    spanDays = 1,
+) => {
+  const events = findRiseSetEvents(
+      ipli,
+      startJd,
+      startJd + spanDays,
+      observer,
+      ephemerisCache,
+      options,
+  );
+  const first = (name) => {
+    const found = events.find((entry) => entry.event === name);
+    return found ? found.jd : null;
+  };
+  const result = {
+    rise: first("rise"),
+    set: first("set"),
+    transit: first("transit"),
+    status: "normal",
+  };
+  if (result.rise === null && result.set === null) {
+    const height = getHorizonState(
+        ipli,
+        result.transit === null ? startJd : result.transit,
+        observer,
+        ephemerisCache,
+        resolveOptions(options),
+    ).height;
+    result.status = height >= 0 ? "circumpolar" : "never_rises";
+  }
+  return result;
+};
+
+module.exports = {
+  findRiseSetEvents,
+  getRiseTransitSet,
+};
@@ -0,0 +1,415 @@
+const {strength, zodiac} = require("./constants");
+const {
+  normalizeDegrees,
+  meanObliquity,
+  greenwichSiderealTime,
+  toEclipticOfDate,
+} = require("./math");
+const {
+  getSign,
+  getDegInSign,
+  getGeocentricVector,
+  buildSripatiBhava,
+  getCompoundRelationship,
+  getDeepDebilitationLongitude,
+  getDrishtiVirupas,
+  GRAHA_IDS,
+} = require("./calculations");
+const {getVargaSign} = require("./varga");
+const {findRiseSetEvents} = require("./riseset");
+
+const {
+  SAPTAVARGA_POINTS,
+  SAPTAVARGA_CHARTS,
+  DIG_BALA_HOUSE,
+  DREKKANA_BALA,
+  NAISARGIKA_BALA,
+  SHADBALA_REQUIRED,
+  WEEKDAY_LORDS,
+  HORA_ORDER,
+  BHAVA_DIG_HOUSE,
+} = strength;
+const {SIGN_LORDS, DIGNITY_TABLE} = zodiac;
+
+const PLANETS = [
+  "Sun",
+  "Moon",
+  "Mars",
+  "Mercury",
+  "Jupiter",
+  "Venus",
+  "Saturn",
+];
+const WAR_PLANETS = ["Mars", "Mercury", "Jupiter", "Venus", "Saturn"];
+// Day number of the Kali Yuga epoch (Friday, 18 February 3102 BCE).
+const KALI_EPOCH_DAY = 588466;
+const DEG = Math.PI / 180;
+
+const round = (value) => Math.round(value * 100) / 100;
+const mod = (value, n) => ((value % n) + n) % n;
+
+// Shortest angular separation, 0 to 180 degrees.
+const arcDistance = (a, b) => {
+  const diff = normalizeDegrees(a - b);
+  return diff > 180 ? 360 - diff : diff;
+};
+
+const findBhava = (longitude, bhavas) => bhavas.find((bhava) =>
+  normalizeDegrees(longitude - bhava.arambha) <
+    normalizeDegrees(bhava.antya - bhava.arambha),
+) || bhavas[0];
+
+// Sun's hour angle and the length of day and night around `jd`, from the
+// sunrise before it and the following sunset and sunrise. Where the Sun does
+// not rise or set, the semi-diurnal arc with standard refraction stands in.
+const getSolarDay = (jd, lat, lng, sunTropical, ephemerisCache) => {
+  const eps = meanObliquity(jd);
+  const lambda = sunTropical * DEG;
+  const ra = Math.atan2(Math.cos(eps) * Math.sin(lambda), Math.cos(lambda)) /
+    DEG;
+  const dec = Math.asin(Math.sin(eps) * Math.sin(lambda));
+  const hourAngle = normalizeDegrees(
+      greenwichSiderealTime(jd) + lng - ra + 180,
+  ) - 180;
+
+  const events = findRiseSetEvents(
+      GRAHA_IDS.Sun,
+      jd - 1.5,
+      jd + 1.5,
+      {lat, lng},
+      ephemerisCache,
+  ).filter((entry) => entry.event !== "transit");
+  const sunrise = events.filter(
+      (entry) => entry.event === "rise" && entry.jd <= jd,
+  ).pop();
+  const sunset = sunrise && events.find(
+      (entry) => entry.event === "set" && entry.jd > sunrise.jd,
+  );
+  const nextSunrise = sunset && events.find(
+      (entry) => entry.event === "rise" && entry.jd > sunset.jd,
+  );
+  if (nextSunrise) {
+    return {
+      hourAngle,
+      isDay: jd < sunset.jd,
+      dayHours: (sunset.jd - sunrise.jd) * 24,
+      nightHours: (nextSunrise.jd - sunset.jd) * 24,
+      hoursSinceSunrise: (jd - sunrise.jd) * 24,
+    };
+  }
+
+  const phi = lat * DEG;
+  const cosSemiArc = (Math.sin(-0.8333 * DEG) -
+    Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+  const semiArc = Math.acos(Math.max(-1, Math.min(1, cosSemiArc))) / DEG;
+  const dayHours = (2 * semiArc) / 15;
+  return {
+    hourAngle,
+    isDay: Math.abs(hourAngle) < semiArc,
+    dayHours,
+    nightHours: 24 - dayHours,
+    hoursSinceSunrise: normalizeDegrees(hourAngle + semiArc) / 15,
+  };
+};
+
+// Lords of the year, month, weekday and hour, counted from the Vedic day
+// that began at the last sunrise. Years and months are the 360 and 30 day
+// periods of the Ahargana counted from the Kali Yuga epoch.
+const getTimeLords = (jd, lng, solarDay) => {
+  const sunriseJd = jd - solarDay.hoursSinceSunrise / 24;
+  const dayNumber = Math.floor(sunriseJd + 0.5 + lng / 360);
+  const ahargana = dayNumber - KALI_EPOCH_DAY;
+  const weekdayLord = (day) => WEEKDAY_LORDS[mod(day + 1, 7)];
+  const vara = weekdayLord(dayNumber);
+  return {
+    abda: weekdayLord(dayNumber - mod(ahargana, 360)),
+    masa: weekdayLord(dayNumber - mod(ahargana, 30)),
+    vara,
+    hora: HORA_ORDER[(HORA_ORDER.indexOf(vara) +
+      Math.floor(solarDay.hoursSinceSunrise)) % 7],
+  };
+};
+
+const getDignity = (planet, varga, sign, degInSign, signs) => {
+  const mt = DIGNITY_TABLE[planet].moolatrikona;
+  if (mt.sign === sign &&
+    (varga !== "D1" || (degInSign >= mt.from && degInSign < mt.to))) {
+    return "moolatrikona";
+  }
+  const lord = SIGN_LORDS[sign - 1];
+  if (lord === planet) return "own";
+  return getCompoundRelationship(planet, lord, signs);
+};
+
+const sumValues = (components) =>
+  Object.values(components).reduce((sum, value) => sum + value, 0);
+
+const getSthanaBala = (planet, longitude, signs, bhavas) => {
+  const sign = getSign(longitude);
+  const degInSign = getDegInSign(longitude);
+  const debilitation = getDeepDebilitationLongitude(planet);
+
+  const saptavargaja = SAPTAVARGA_CHARTS.reduce((sum, varga) => {
+    const vargaSign = getVargaSign(varga, longitude);
+    const dignity = getDignity(planet, varga, vargaSign, degInSign, signs);
+    return sum + SAPTAVARGA_POINTS[dignity];
+  }, 0);
+
+  const prefersEven = planet === "Moon" || planet === "Venus";
+  const ojayugma = [sign, getVargaSign("D9", longitude)].reduce(
+      (sum, s) => sum + ((s % 2 === 0) === prefersEven ? 15 : 0),
+      0,
+  );
+
+  const house = findBhava(longitude, bhavas).house;
+  let kendradi = 15;
+  if ([1, 4, 7, 10].includes(house)) kendradi = 60;
+  else if ([2, 5, 8, 11].includes(house)) kendradi = 30;
+
+  const components = {
+    uccha: arcDistance(longitude, debilitation) / 3,
+    saptavargaja,
+    ojayugma,
+    kendradi,
+    drekkana: Math.floor(degInSign / 10) === DREKKANA_BALA[planet] ? 15 : 0,
+  };
+  return {...components, total: sumValues(components)};
+};
+
+const getKalaBala = (planet, context) => {
+  const {solarDay, timeLords, elongation, kranti} = context;
+
+  const nocturnal = Math.abs(solarDay.hourAngle) / 3;
+  let nathonnatha = 60;
+  if (["Moon", "Mars", "Saturn"].includes(planet)) nathonnatha = nocturnal;
+  if (["Sun", "Jupiter", "Venus"].includes(planet)) {
+    nathonnatha = 60 - nocturnal;
+  }
+
+  const beneficPaksha = elongation / 3;
+  let paksha = ["Moon", "Mercury", "Jupiter", "Venus"].includes(planet) ?
+    beneficPaksha :
+    60 - beneficPaksha;
+  if (planet === "Moon") paksha *= 2;
+
+  let tribhagaLord;
+  if (solarDay.isDay) {
+    const part = Math.floor(
+        (3 * solarDay.hoursSinceSunrise) / solarDay.dayHours,
+    );
+    tribhagaLord = ["Mercury", "Sun", "Saturn"][Math.min(part, 2)];
+  } else {
+    const sinceSunset = solarDay.hoursSinceSunrise - solarDay.dayHours;
+    const part = Math.floor((3 * sinceSunset) / solarDay.nightHours);
+    tribhagaLord = ["Moon", "Venus", "Mars"][Math.min(part, 2)];
+  }
+  const tribhaga = planet === "Jupiter" || planet === tribhagaLord ? 60 : 0;
+
+  let ayana = (24 + kranti[planet]) * (60 / 48);
+  if (planet === "Sun") ayana *= 2;
+
+  const components = {
+    nathonnatha,
+    paksha,
+    tribhaga,
+    abda: timeLords.abda === planet ? 15 : 0,
+    masa: timeLords.masa === planet ? 30 : 0,
+    vara: timeLords.vara === planet ? 45 : 0,
+    hora: timeLords.hora === planet ? 60 : 0,
+    ayana,
+    yuddha: 0,
+  };
+  return {...components, total: sumValues(components)};
+};
+
+// Cheshta kendra from true positions: the arc between a planet and its
+// sighrocca, the heliocentric planet for Mercury and Venus and the Sun for
+// the superior planets. The Sun takes its Ayana bala, the Moon its Paksha.
+const getCheshtaBala = (planet, context) => {
+  const {jd, ephemerisCache, tropical, elongation, kranti} = context;
+  if (planet === "Sun") return (24 + kranti.Sun) * (60 / 48);
+  if (planet === "Moon") return elongation / 3;
+  let sighrocca = tropical.Sun;
+  if (planet === "Mercury" || planet === "Venus") {
+    const sun = getGeocentricVector(GRAHA_IDS.Sun, jd, ephemerisCache);
+    const body = getGeocentricVector(GRAHA_IDS[planet], jd, ephemerisCache);
+    sighrocca = toEclipticOfDate(body.map((v, i) => v - sun[i]), jd).lon;
+  }
+  return arcDistance(sighrocca, tropical[planet]) / 3;
+};
+
+const isBenefic = (planet, waxingMoon) => {
+  if (planet === "Moon") return waxingMoon;
+  return ["Mercury", "Jupiter", "Venus"].includes(planet);
+};
+
+const getDrikBala = (planet, longitudes, waxingMoon) => PLANETS.reduce(
+    (sum, other) => {
+      if (other === planet) return sum;
+      const value = getDrishtiVirupas(
+          other,
+          longitudes[planet] - longitudes[other],
+      );
+      return sum + (isBenefic(other, waxingMoon) ? value : -value) / 4;
+    },
+    0,
+);
+
+// Planets within a degree of each other are at war; the one further north
+// in ecliptic latitude wins the difference of their strengths from the
+// loser.
+const applyGrahaYuddha = (balas, longitudes, jd, ephemerisCache) => {
+  const latitude = (planet) => toEclipticOfDate(
+      getGeocentricVector(GRAHA_IDS[planet], jd, ephemerisCache),
+      jd,
+  ).lat;
+  WAR_PLANETS.forEach((first, index) => {
+    WAR_PLANETS.slice(index + 1).forEach((second) => {
+      if (arcDistance(longitudes[first], longitudes[second]) >= 1) return;
+      const [winner, loser] = latitude(first) >= latitude(second) ?
+        [first, second] :
+        [second, first];
+      const diff = Math.abs(balas[winner].total - balas[loser].total);
+      [[winner, diff], [loser, -diff]].forEach(([planet, delta]) => {
+        balas[planet].kala_bala.yuddha += delta;
+        balas[planet].kala_bala.total += delta;
+        balas[planet].total += delta;
+      });
+    });
+  });
+};
+
+const roundComponents = (components) => {
+  const rounded = {};
+  Object.keys(components).forEach((key) => {
+    rounded[key] = round(components[key]);
+  });
+  return rounded;
+};
+
+// Bhava Bala: the house lord's Shadbala, Bhava dig bala from the nature of
+// the sign on the bhava madhya, and aspects on the madhya (a quarter of
+// each, added for benefics and removed for malefics, with Jupiter and
+// Mercury counted in full).
+const buildBhavaBala = (bhavas, longitudes, planetTotals, waxingMoon) =>
+  bhavas.map((bhava) => {
+    const sign = getSign(bhava.madhya);
+    const lord = SIGN_LORDS[sign - 1];
+    const half = getDegInSign(bhava.madhya) < 15 ? 0 : 1;
+    const diff = mod(bhava.house - BHAVA_DIG_HOUSE[sign][half], 12);
+    const digBala = (6 - Math.min(diff, 12 - diff)) * 10;
+    const drishti = PLANETS.reduce((sum, planet) => {
+      const value = getDrishtiVirupas(
+          planet,
+          bhava.madhya - longitudes[planet],
+      );
+      if (planet === "Jupiter" || planet === "Mercury") return sum + value;
+      return sum + (isBenefic(planet, waxingMoon) ? value : -value) / 4;
+    }, 0);
+    const total = planetTotals[lord] + digBala + drishti;
+    return {
+      house: bhava.house,
+      sign,
+      lord,
+      bhavadhipati_bala: round(planetTotals[lord]),
+      dig_bala: round(digBala),
+      drishti_bala: round(drishti),
+      total_virupas: round(total),
+      total_rupas: round(total / 60),
+    };
+  });
+
+// Shadbala of the seven grahas and Bhava Bala of the twelve houses, in
+// virupas (sixtieths of a rupa). `chart` carries the Julian Day, birth
+// place, ayanamsha, sidereal longitudes of Sun to Saturn and the sidereal
+// ascendant and midheaven.
+const buildShadbala = (chart, ephemerisCache) => {
+  const {jd, lat, lng, ayanamsha, longitudes, ascendant, midheaven} = chart;
+  const bhavas = buildSripatiBhava(ascendant, midheaven);
+  const signs = {};
+  const tropical = {};
+  PLANETS.forEach((planet) => {
+    signs[planet] = getSign(longitudes[planet]);
+    tropical[planet] = normalizeDegrees(longitudes[planet] + ayanamsha);
+  });
+
+  // Kranti (declination) signed so that it favours the hemisphere in which
+  // each planet gains Ayana bala; Mercury gains in either.
+  const eps = meanObliquity(jd);
+  const kranti = {};
+  PLANETS.forEach((planet) => {
+    const dec = Math.asin(
+        Math.sin(eps) * Math.sin(tropical[planet] * DEG),
+    ) / DEG;
+    if (planet === "Mercury") kranti[planet] = Math.abs(dec);
+    else if (planet === "Moon" || planet === "Saturn") kranti[planet] = -dec;
+    else kranti[planet] = dec;
+  });
+
+  const solarDay = getSolarDay(
+      jd,
+      lat,
+      lng,
+      tropical.Sun,
+      ephemerisCache,
+  );
+  const context = {
+    jd,
+    ephemerisCache,
+    tropical,
+    kranti,
+    solarDay,
+    timeLords: getTimeLords(jd, lng, solarDay),
+    elongation: arcDistance(longitudes.Moon, longitudes.Sun),
+  };
+  const waxingMoon = normalizeDegrees(longitudes.Moon - longitudes.Sun) < 180;
+
+  const balas = {};
+  PLANETS.forEach((planet) => {
+    const strongPoint = bhavas[DIG_BALA_HOUSE[planet] - 1].madhya;
+    const bala = {
+      sthana_bala: getSthanaBala(planet, longitudes[planet], signs, bhavas),
+      dig_bala: (180 - arcDistance(longitudes[planet], strongPoint)) / 3,
+      kala_bala: getKalaBala(planet, context),
+      cheshta_bala: getCheshtaBala(planet, context),
+      naisargika_bala: NAISARGIKA_BALA[planet],
+      drik_bala: getDrikBala(planet, longitudes, waxingMoon),
+    };
+    bala.total = bala.sthana_bala.total + bala.dig_bala +
+      bala.kala_bala.total + bala.cheshta_bala + bala.naisargika_bala +
+      bala.drik_bala;
+    balas[planet] = bala;
+  });
+  applyGrahaYuddha(balas, longitudes, jd, ephemerisCache);
+
+  const planets = {};
+  const planetTotals = {};
+  PLANETS.forEach((planet) => {
+    const bala = balas[planet];
+    const rupas = bala.total / 60;
+    planetTotals[planet] = bala.total;
+    planets[planet] = {
+      sthana_bala: roundComponents(bala.sthana_bala),
+      dig_bala: round(bala.dig_bala),
+      kala_bala: roundComponents(bala.kala_bala),
+      cheshta_bala: round(bala.cheshta_bala),
+      naisargika_bala: round(bala.naisargika_bala),
+      drik_bala: round(bala.drik_bala),
+      total_virupas: round(bala.total),
+      total_rupas: round(rupas),
+      required_rupas: SHADBALA_REQUIRED[planet],
+      strength_ratio: round(rupas / SHADBALA_REQUIRED[planet]),
+    };
+  });
+
+  return {
+    unit: "virupas",
+    time_lords: context.timeLords,
+    planets,
+    bhava_bala: buildBhavaBala(bhavas, longitudes, planetTotals, waxingMoon),
+  };
+};
+
+module.exports = {
+  buildShadbala,
+};
@@ -0,0 +1,195 @@
+const {validationError} = require("./errors");
+
+const MS_PER_MINUTE = 60000;
+const MS_PER_DAY = 86400000;
+
+const zoneFormatters = new Map();
+
+const getZoneFormatter = (zone) => {
+  if (!zoneFormatters.has(zone)) {
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat("en-US", {
+        timeZone: zone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+        era: "short",
+      });
+    } catch (err) {
+      throw validationError(`Unknown time zone: ${zone}`, {
+        field: "tz",
+        reason: "unknown-time-zone",
+        value: zone,
+      });
+    }
+    zoneFormatters.set(zone, formatter);
+  }
+  return zoneFormatters.get(zone);
+};
+
+// Offset of the zone from UTC, in minutes, at the given UTC instant. This
+// uses the tz database bundled with the runtime, so historical rules such
+// as war time and pre-1970 DST are honoured.
+const getZoneOffsetMinutes = (zone, utcMs) => {
+  const parts = {};
+  getZoneFormatter(zone).formatToParts(new Date(utcMs)).forEach((part) => {
+    parts[part.type] = part.value;
+  });
+  let year = Number(parts.year);
+  if (parts.era === "BC" || parts.era === "B") year = 1 - year;
+  const wallMs = Date.UTC(
+      year,
+      Number(parts.month) - 1,
+      Number(parts.day),
+      Number(parts.hour),
+      Number(parts.minute),
+      Number(parts.second),
+  );
+  const utcSeconds = Math.floor(utcMs / 1000) * 1000;
+  return Math.round((wallMs - utcSeconds) / MS_PER_MINUTE);
+};
+
+const parseLocalDateTime = (dob, time) => {
+  const dateMatch = /^(-?\d{1,4})-(\d{1,2})-(\d{1,2})$/.exec(String(dob));
+  const timeMatch = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(time));
+  if (!dateMatch) {
+    throw validationError(`Invalid date of birth: ${dob}`, {
+      field: "dob",
+      reason: "invalid-format",
+      value: dob,
+    });
+  }
+  if (!timeMatch) {
+    throw validationError(`Invalid birth time: ${time}`, {
+      field: "time",
+      reason: "invalid-format",
+      value: time,
+    });
+  }
+  const [y, m, d] = dateMatch.slice(1).map(Number);
+  const [hh, mm, ss = 0] = timeMatch.slice(1).map((v) => Number(v || 0));
+  const wall = new Date(0);
+  wall.setUTCFullYear(y, m - 1, d);
+  wall.setUTCHours(hh, mm, ss, 0);
+  if (
+    wall.getUTCFullYear() !== y ||
+    wall.getUTCMonth() !== m - 1 ||
+    wall.getUTCDate() !== d ||
+    wall.getUTCHours() !== hh ||
+    wall.getUTCMinutes() !== mm
+  ) {
+    throw validationError(`Invalid birth date or time: ${dob} ${time}`, {
+      field: "dob",
+      reason: "out-of-range",
+      value: `${dob} ${time}`,
+    });
+  }
+  return wall.getTime();
+};
+
+// Hours east of Greenwich from a numeric offset given as a number, decimal
+// hours ("5.5") or hours and minutes ("+05:30"); null for a zone name.
+const parseOffsetHours = (tz) => {
+  if (typeof tz === "number") return tz;
+  const text = String(tz).trim();
+  if (/^[+-]?\d+(\.\d+)?$/.test(text)) return Number(text);
+  const match = /^([+-])(\d{1,2}):(\d{2})$/.exec(text);
+  if (!match) return null;
+  if (Number(match[3]) >= 60) return NaN;
+  const hours = Number(match[2]) + Number(match[3]) / 60;
+  return match[1] === "-" ? -hours : hours;
+};
+
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? "-" : "+";
+  const abs = Math.abs(minutes);
+  const hours = Math.floor(abs / 60).toString().padStart(2, "0");
+  const mins = (abs % 60).toString().padStart(2, "0");
+  return `${sign}${hours}:${mins}`;
+};
+
+// Resolve a local civil birth time to a UTC instant. `tz` is either an
+// offset east of Greenwich, in hours (as accepted by getBirthChartdetail)
+// or as "+05:30", or an IANA zone name; when omitted the time is taken to
+// be UTC.
+const resolveLocalTime = (dob, time, tz) => {
+  const wallMs = parseLocalDateTime(dob, time);
+
+  if (tz === undefined || tz === null || tz === "") {
+    return {utcMs: wallMs, offsetMinutes: 0, zone: null};
+  }
+
+  const hours = parseOffsetHours(tz);
+  if (hours !== null) {
+    if (!Number.isFinite(hours) || Math.abs(hours) > 14) {
+      throw validationError(`Invalid time zone offset: ${tz}`, {
+        field: "tz",
+        reason: "out-of-range",
+        value: tz,
+      });
+    }
+    const offsetMinutes = Math.round(hours * 60);
+    return {
+      utcMs: wallMs - offsetMinutes * MS_PER_MINUTE,
+      offsetMinutes,
+      zone: null,
+    };
+  }
+
+  const zone = String(tz).trim();
+  // Every offset in force around the wall time is a candidate; a candidate
+  // is valid when the zone really observes that offset at the instant it
+  // produces. Zero matches is a DST gap, two is an overlap.
+  const candidates = new Set(
+      [-MS_PER_DAY, 0, MS_PER_DAY].map(
+          (shift) => getZoneOffsetMinutes(zone, wallMs + shift),
+      ),
+  );
+  const matches = [];
+  candidates.forEach((offsetMinutes) => {
+    const utcMs = wallMs - offsetMinutes * MS_PER_MINUTE;
+    if (getZoneOffsetMinutes(zone, utcMs) === offsetMinutes) {
+      matches.push({utcMs, offsetMinutes});
+    }
+  });
+  matches.sort((a, b) => a.utcMs - b.utcMs);
+
+  if (matches.length === 0) {
+    throw validationError(
+        `Local time ${dob} ${time} does not exist in ${zone}`,
+        {
+          field: "time",
+          reason: "nonexistent-local-time",
+          zone,
+          offsets: Array.from(candidates).sort((a, b) => a - b)
+              .map(formatOffset),
+        },
+    );
+  }
+  if (matches.length > 1) {
+    throw validationError(
+        `Local time ${dob} ${time} is ambiguous in ${zone}`,
+        {
+          field: "time",
+          reason: "ambiguous-local-time",
+          zone,
+          candidates: matches.map((match) => ({
+            utc: new Date(match.utcMs).toISOString(),
+            offset: formatOffset(match.offsetMinutes),
+          })),
+        },
+    );
+  }
+  return {...matches[0], zone};
+};
+
+module.exports = {
+  getZoneOffsetMinutes,
+  resolveLocalTime,
+  formatOffset,
+};
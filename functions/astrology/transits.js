@@ -0,0 +1,106 @@
+const {transit, zodiac} = require("./constants");
+const {
+  getSign,
+  getDegInSign,
+  getPlanetSpeed,
+  getNodeSpeed,
+  getNakshatraDetails,
+  formatDms,
+  getSiderealLongitudes,
+  GRAHA_IDS,
+} = require("./calculations");
+
+const {
+  GOCHARA_VEDHA,
+  VEDHA_EXEMPT_PAIRS,
+  SADE_SATI_PHASES,
+  KANTAKA_SHANI_HOUSES,
+} = transit;
+const {SIGN_NAMES} = zodiac;
+
+const countSigns = (from, to) => ((to - from + 12) % 12) + 1;
+
+const isVedhaExempt = (planet, other) => VEDHA_EXEMPT_PAIRS.some(
+    (pair) => pair.includes(planet) && pair.includes(other),
+);
+
+// Gochara result of one planet from its house counted from the natal Moon.
+// A favourable house is obstructed (vedha) by any planet in its vedha house;
+// an unfavourable house that is itself a vedha point is relieved (vipareeta
+// vedha) by a planet in the favourable house it obstructs.
+const getVedha = (planet, houses) => {
+  const table = GOCHARA_VEDHA[planet];
+  const house = houses[planet];
+  const favourable = table[house] !== undefined;
+  let vedhaHouse = table[house];
+  if (!favourable) {
+    const relieving = Object.keys(table).find(
+        (good) => table[good] === house,
+    );
+    vedhaHouse = relieving === undefined ? undefined : Number(relieving);
+  }
+  const by = vedhaHouse === undefined ? [] : Object.keys(houses).filter(
+      (other) => other !== planet && houses[other] === vedhaHouse &&
+        !isVedhaExempt(planet, other),
+  );
+  return {
+    favourable,
+    vedha_house: vedhaHouse === undefined ? null : vedhaHouse,
+    obstructed_by: by,
+    net_favourable: by.length > 0 ? !favourable : favourable,
+  };
+};
+
+// Saturn's transit over the natal Moon: Sade Sati, Ashtama and Kantaka.
+const getShaniFlags = (saturnFromMoon) => ({
+  sade_sati: {
+    active: SADE_SATI_PHASES[saturnFromMoon] !== undefined,
+    phase: SADE_SATI_PHASES[saturnFromMoon] || null,
+  },
+  ashtama_shani: saturnFromMoon === 8,
+  kantaka_shani: KANTAKA_SHANI_HOUSES.includes(saturnFromMoon),
+});
+
+// Transit positions at `jd` read against the natal lagna and Moon signs.
+const buildTransits = (options, ephemerisCache) => {
+  const {jd, ayanamsha, natal, nodeType} = options;
+  const longitudes = getSiderealLongitudes(
+      jd,
+      ayanamsha,
+      ephemerisCache,
+      nodeType,
+  );
+  const fromMoon = {};
+  Object.keys(longitudes).forEach((planet) => {
+    fromMoon[planet] = countSigns(natal.Moon, getSign(longitudes[planet]));
+  });
+
+  const planets = Object.keys(longitudes).map((planet) => {
+    const longitude = longitudes[planet];
+    const sign = getSign(longitude);
+    const nakshatra = getNakshatraDetails(longitude);
+    const speed = GRAHA_IDS[planet] === undefined ?
+      getNodeSpeed(jd, nodeType, ephemerisCache) :
+      getPlanetSpeed(GRAHA_IDS[planet], jd, ephemerisCache);
+    return {
+      planet,
+      longitude,
+      sign: SIGN_NAMES[sign - 1],
+      degrees: formatDms(getDegInSign(longitude)),
+      nakshatra: `${nakshatra.name}-${nakshatra.pada}`,
+      retrograde: speed < 0,
+      house_from_lagna: countSigns(natal.Ascendant, sign),
+      house_from_moon: fromMoon[planet],
+      gochara: getVedha(planet, fromMoon),
+    };
+  });
+
+  return {
+    planets,
+    shani: getShaniFlags(fromMoon.Saturn),
+  };
+};
+
+module.exports = {
+  buildTransits,
+};
@@ -0,0 +1,165 @@
+const {SEI_SUN} = require("../ephemeris/SwissEphemerisFile");
+const {upagraha, muhurta, dasha, zodiac} = require("./constants");
+const {normalizeDegrees} = require("./math");
+const {
+  getSign,
+  getDegInSign,
+  getNakshatraDetails,
+  getSiderealAngles,
+  formatDms,
+} = require("./calculations");
+const {findRiseSetEvents} = require("./riseset");
+
+const {
+  DHUMA_OFFSET,
+  UPAKETU_OFFSET,
+  YOGI_OFFSET,
+  AVAYOGI_OFFSET,
+  PRANAPADA_MINUTES_PER_SIGN,
+  PRANAPADA_OFFSETS,
+} = upagraha;
+const {GULIKA_PARTS} = muhurta;
+const {DASA_LORDS} = dasha;
+const {SIGN_NAMES, SIGN_LORDS} = zodiac;
+
+const countSigns = (from, to) => ((to - from + 12) % 12) + 1;
+
+// An entry shaped like those in planetary_positions, with its house from
+// the lagna.
+const describePoint = (name, longitude, ascSign) => {
+  const sign = getSign(longitude);
+  const degrees = formatDms(getDegInSign(longitude));
+  const nakshatra = getNakshatraDetails(longitude);
+  return {
+    planet: name,
+    longitude,
+    sign: SIGN_NAMES[sign - 1],
+    degrees,
+    nakshatra: `${nakshatra.name}-${nakshatra.pada}`,
+    house: countSigns(ascSign, sign),
+    formatted: [
+      `${name} ${SIGN_NAMES[sign - 1]} ${degrees}`,
+      `(Nakshatra ${nakshatra.name} Pada ${nakshatra.pada})`,
+    ].join(" "),
+  };
+};
+
+const nakshatraLord = (longitude) =>
+  DASA_LORDS[getNakshatraDetails(longitude).index % DASA_LORDS.length];
+
+// The Sun-based upagrahas of the Dhuma group.
+const getSunUpagrahas = (sun) => {
+  const dhuma = normalizeDegrees(sun + DHUMA_OFFSET);
+  const vyatipata = normalizeDegrees(360 - dhuma);
+  const parivesha = normalizeDegrees(vyatipata + 180);
+  const indrachapa = normalizeDegrees(360 - parivesha);
+  const upaketu = normalizeDegrees(indrachapa + UPAKETU_OFFSET);
+  return {
+    Dhuma: dhuma,
+    Vyatipata: vyatipata,
+    Parivesha: parivesha,
+    Indrachapa: indrachapa,
+    Upaketu: upaketu,
+  };
+};
+
+// The day or night of birth: the last sunrise, and the sunrise and sunset
+// bounding the half of the day in which `jd` falls. Null where the Sun does
+// not both rise and set around the birth.
+const getBirthPeriod = (jd, observer, ephemerisCache) => {
+  const events = findRiseSetEvents(
+      SEI_SUN,
+      jd - 1.5,
+      jd + 1.5,
+      observer,
+      ephemerisCache,
+  ).filter((entry) => entry.event !== "transit");
+  const sunrise = events.filter(
+      (entry) => entry.event === "rise" && entry.jd <= jd,
+  ).pop();
+  const start = events.filter((entry) => entry.jd <= jd).pop();
+  const end = events.find((entry) => entry.jd > jd);
+  if (!sunrise || !start || !end || start.event === end.event) return null;
+  return {
+    sunrise: sunrise.jd,
+    isDay: start.event === "rise",
+    start: start.jd,
+    end: end.jd,
+  };
+};
+
+// Gulika rises at the start and Mandi at the middle of Saturn's eighth of
+// the day or night. Day parts follow the weekday lords from the lord of
+// the day; night parts start from the fifth of them, so the night part is
+// the day part of the weekday four on.
+const getGulikaMandi = (period, options) => {
+  const {lat, lng, ayanamsha} = options;
+  // Weekday of the sunrise in local mean time, from Sunday.
+  const weekday = Math.floor(period.sunrise + 1.5 + lng / 360) % 7;
+  const part = period.isDay ?
+    GULIKA_PARTS[weekday] :
+    GULIKA_PARTS[(weekday + 4) % 7];
+  const length = (period.end - period.start) / 8;
+  const partStart = period.start + (part - 1) * length;
+  const lagnaAt = (jd) => getSiderealAngles(jd, lat, lng, ayanamsha).ascendant;
+  return {
+    Gulika: lagnaAt(partStart),
+    Mandi: lagnaAt(partStart + length / 2),
+  };
+};
+
+const getPranapada = (sun, minutesSinceSunrise) => normalizeDegrees(
+    sun + PRANAPADA_OFFSETS[(getSign(sun) - 1) % 3] +
+      (minutesSinceSunrise / PRANAPADA_MINUTES_PER_SIGN) * 30,
+);
+
+// Upagrahas and sensitive points from sidereal longitudes of the Sun, Moon,
+// Rahu and Ascendant. Gulika, Mandi and Pranapada need the sunrise and
+// sunset around the birth and are left out where the Sun does not rise
+// and set.
+const buildSpecialPoints = (options, ephemerisCache) => {
+  const {jd, lat, lng, altitude, longitudes} = options;
+  const {Sun: sun, Moon: moon, Rahu: rahu} = longitudes;
+  const ascSign = getSign(longitudes.Ascendant);
+  const period = getBirthPeriod(jd, {lat, lng, altitude}, ephemerisCache);
+
+  const upagrahas = getSunUpagrahas(sun);
+  if (period) Object.assign(upagrahas, getGulikaMandi(period, options));
+
+  const yogi = normalizeDegrees(sun + moon + YOGI_OFFSET);
+  const avayogi = normalizeDegrees(yogi + AVAYOGI_OFFSET);
+  const sensitivePoints = [
+    // Bhrigu Bindu is the midpoint of the arc from Rahu forward to the Moon.
+    describePoint(
+        "Bhrigu Bindu",
+        normalizeDegrees(rahu + normalizeDegrees(moon - rahu) / 2),
+        ascSign,
+    ),
+    {
+      ...describePoint("Yogi", yogi, ascSign),
+      yogi_graha: nakshatraLord(yogi),
+      duplicate_yogi: SIGN_LORDS[getSign(yogi) - 1],
+    },
+    {
+      ...describePoint("Avayogi", avayogi, ascSign),
+      avayogi_graha: nakshatraLord(avayogi),
+    },
+  ];
+  if (period) {
+    sensitivePoints.push(describePoint(
+        "Pranapada",
+        getPranapada(sun, (jd - period.sunrise) * 1440),
+        ascSign,
+    ));
+  }
+
+  return {
+    upagrahas: Object.keys(upagrahas).map((name) =>
+      describePoint(name, upagrahas[name], ascSign)),
+    sensitive_points: sensitivePoints,
+  };
+};
+
+module.exports = {
+  buildSpecialPoints,
+};
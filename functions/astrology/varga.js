@@ -0,0 +1,88 @@
+const {
+  getSign,
+  getDegInSign,
+  getNavamshaSign,
+  getDashamshaSign,
+} = require("./calculations");
+const {validationError} = require("./errors");
+
+const MOVABLE = [1, 4, 7, 10];
+const FIXED = [2, 5, 8, 11];
+
+const isOdd = (sign) => sign % 2 === 1;
+
+const countFrom = (start, steps) => ((start - 1 + steps) % 12) + 1;
+
+// Start sign chosen by modality: movable, fixed, dual.
+const byModality = (sign, starts) => {
+  if (MOVABLE.includes(sign)) return starts[0];
+  if (FIXED.includes(sign)) return starts[1];
+  return starts[2];
+};
+
+// Equal divisions of a sign counted onward from a start sign.
+const equalParts = (parts, startFor) => (sign, deg) =>
+  countFrom(startFor(sign), Math.floor(deg / (30 / parts)));
+
+const TRIMSHAMSHA_ODD = [[5, 1], [10, 11], [18, 9], [25, 3], [30, 7]];
+const TRIMSHAMSHA_EVEN = [[5, 2], [12, 6], [20, 12], [25, 10], [30, 8]];
+
+// Parashari Shodashavarga rules: each maps a D1 sign and degree in sign to
+// the varga sign.
+const VARGA_RULES = {
+  D1: (sign) => sign,
+  D2: (sign, deg) => {
+    const sunHalf = isOdd(sign) === (deg < 15);
+    return sunHalf ? 5 : 4;
+  },
+  D3: (sign, deg) => countFrom(sign, Math.floor(deg / 10) * 4),
+  D4: (sign, deg) => countFrom(sign, Math.floor(deg / 7.5) * 3),
+  D7: equalParts(7, (sign) => (isOdd(sign) ? sign : countFrom(sign, 6))),
+  D9: getNavamshaSign,
+  D10: getDashamshaSign,
+  D12: equalParts(12, (sign) => sign),
+  D16: equalParts(16, (sign) => byModality(sign, [1, 5, 9])),
+  D20: equalParts(20, (sign) => byModality(sign, [1, 9, 5])),
+  D24: equalParts(24, (sign) => (isOdd(sign) ? 5 : 4)),
+  D27: equalParts(27, (sign) => [1, 4, 7, 10][(sign - 1) % 4]),
+  D30: (sign, deg) => {
+    const table = isOdd(sign) ? TRIMSHAMSHA_ODD : TRIMSHAMSHA_EVEN;
+    return table.find(([limit]) => deg < limit)[1];
+  },
+  D40: equalParts(40, (sign) => (isOdd(sign) ? 1 : 7)),
+  D45: equalParts(45, (sign) => byModality(sign, [1, 5, 9])),
+  D60: equalParts(60, (sign) => sign),
+};
+
+const VARGA_NAMES = Object.keys(VARGA_RULES);
+const DEFAULT_VARGAS = ["D1", "D9", "D10"];
+
+const resolveVargas = (vargas) => {
+  if (vargas === undefined || vargas === null) return DEFAULT_VARGAS;
+  if (vargas === "all") return VARGA_NAMES;
+  const list = Array.isArray(vargas) ? vargas : [vargas];
+  const names = list.map((name) => String(name).toUpperCase());
+  const unknown = names.filter((name) => !VARGA_RULES[name]);
+  if (unknown.length) {
+    throw validationError(`Unknown varga: ${unknown.join(", ")}`, {
+      field: "vargas",
+      reason: "unknown-varga",
+      supported: VARGA_NAMES,
+    });
+  }
+  return VARGA_NAMES.filter((name) => names.includes(name));
+};
+
+const getVargaSign = (varga, siderealLongitude) => {
+  const sign = getSign(siderealLongitude);
+  const deg = Math.min(getDegInSign(siderealLongitude), 30 - 1e-9);
+  return VARGA_RULES[varga](sign, deg);
+};
+
+module.exports = {
+  VARGA_RULES,
+  VARGA_NAMES,
+  DEFAULT_VARGAS,
+  resolveVargas,
+  getVargaSign,
+};
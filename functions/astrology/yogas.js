@@ -0,0 +1,208 @@
+const {yoga, zodiac} = require("./constants");
+const {normalizeDegrees} = require("./math");
+const {
+  getSign,
+  getDegInSign,
+  getPlanetDignity,
+  getGrahaDrishtiHouses,
+} = require("./calculations");
+
+const {YOGA_RULES} = yoga;
+const {SIGN_LORDS, DIGNITY_TABLE} = zodiac;
+
+const SEVEN_GRAHAS = Object.keys(DIGNITY_TABLE);
+
+const countSigns = (from, to) => ((to - from + 12) % 12) + 1;
+const unique = (values) => [...new Set(values)];
+const ORDINAL_SUFFIXES = {1: "st", 2: "nd", 3: "rd"};
+const ordinal = (house) => `${house}${ORDINAL_SUFFIXES[house] || "th"}`;
+
+// Signs of every body and the house lords counted from the lagna.
+const createChart = (longitudes) => {
+  const signs = {};
+  Object.keys(longitudes).forEach((name) => {
+    signs[name] = getSign(longitudes[name]);
+  });
+  return {
+    longitudes,
+    signs,
+    lordOf: (house) => SIGN_LORDS[(signs.Ascendant + house - 2) % 12],
+    houseFrom: (planet, from) => countSigns(signs[from], signs[planet]),
+  };
+};
+
+const aspects = (chart, planet, other) =>
+  getGrahaDrishtiHouses(planet).includes(chart.houseFrom(other, planet));
+
+const RELATIONS = {
+  conjunction: (chart, a, b) => chart.signs[a] === chart.signs[b],
+  exchange: (chart, a, b) => SIGN_LORDS[chart.signs[a] - 1] === b &&
+    SIGN_LORDS[chart.signs[b] - 1] === a,
+  aspect: (chart, a, b) => aspects(chart, a, b) || aspects(chart, b, a),
+  mutual_aspect: (chart, a, b) => aspects(chart, a, b) && aspects(chart, b, a),
+};
+
+const reference = (name) => (name === "Ascendant" ? [] : [name]);
+
+// Each condition type returns null when it fails, or the planets it
+// involved and a note saying why it held.
+const CONDITIONS = {
+  house: (chart, condition, resolve) => {
+    const planet = resolve(condition.planet);
+    const from = resolve(condition.from);
+    const house = chart.houseFrom(planet, from);
+    if (!condition.in.includes(house)) return null;
+    return {
+      planets: [planet, ...reference(from)],
+      notes: [`${planet} in the ${ordinal(house)} from ${from}`],
+    };
+  },
+  dignity: (chart, condition, resolve) => {
+    const planet = resolve(condition.planet);
+    const dignity = getPlanetDignity(
+        planet,
+        chart.signs[planet],
+        getDegInSign(chart.longitudes[planet]),
+        chart.signs,
+    );
+    if (!condition.in.includes(dignity)) return null;
+    return {planets: [planet], notes: [`${planet} is ${dignity}`]};
+  },
+  lord: (chart, condition, resolve) => {
+    const planet = resolve(condition.planet);
+    const houses = condition.of.filter((house) =>
+      chart.lordOf(house) === planet);
+    if (!houses.length) return null;
+    return {
+      planets: [planet],
+      notes: [`${planet} rules the ${houses.map(ordinal).join(" and ")}`],
+    };
+  },
+  association: (chart, condition, resolve) => {
+    const [a, b] = condition.planets.map(resolve);
+    const relation = condition.relations.find(
+        (name) => RELATIONS[name](chart, a, b),
+    );
+    if (!relation) return null;
+    return {
+      planets: [a, b],
+      notes: [`${a} and ${b}: ${relation.replace("_", " ")}`],
+    };
+  },
+  distinct: (chart, condition, resolve) => {
+    const planets = condition.planets.map(resolve);
+    return unique(planets).length === planets.length ?
+      {planets: [], notes: []} :
+      null;
+  },
+  occupied: (chart, condition, resolve) => {
+    const from = resolve(condition.from);
+    const occupants = condition.planets.filter((planet) =>
+      condition.houses.includes(chart.houseFrom(planet, from)));
+    const {min = 0, max = Infinity} = condition;
+    if (occupants.length < min || occupants.length > max) return null;
+    const houses = condition.houses.map(ordinal).join(", ");
+    return {
+      planets: [...occupants, ...reference(from)],
+      notes: [occupants.length ?
+        `${occupants.join(", ")} in the ${houses} from ${from}` :
+        `No ${condition.planets.join(", ")} in the ${houses} from ${from}`],
+    };
+  },
+  between_nodes: (chart) => {
+    const offsets = SEVEN_GRAHAS.map((planet) => normalizeDegrees(
+        chart.longitudes[planet] - chart.longitudes.Rahu,
+    ));
+    const fromRahu = offsets.every((offset) => offset < 180);
+    if (!fromRahu && !offsets.every((offset) => offset > 180)) return null;
+    return {
+      planets: ["Rahu", "Ketu"],
+      notes: [fromRahu ?
+        "All grahas from Rahu onward to Ketu" :
+        "All grahas from Ketu onward to Rahu"],
+    };
+  },
+  any: (chart, condition, resolve) => {
+    for (const nested of condition.conditions) {
+      const result = evaluate(chart, nested, resolve);
+      if (result) return result;
+    }
+    return null;
+  },
+};
+
+const evaluate = (chart, condition, resolve) => {
+  const evaluator = CONDITIONS[condition.type];
+  if (!evaluator) throw new Error(`Unknown yoga condition: ${condition.type}`);
+  return evaluator(chart, condition, resolve);
+};
+
+const BINDERS = {
+  planets: (chart, list) => list,
+  lordOf: (chart, houses) => unique(houses.map(chart.lordOf)),
+  dispositorOf: (chart, name, binding) =>
+    [SIGN_LORDS[chart.signs[binding[name]] - 1]],
+  exaltationLordOf: (chart, name, binding) => {
+    const dignity = DIGNITY_TABLE[binding[name]];
+    return dignity ? [SIGN_LORDS[dignity.exaltation - 1]] : [];
+  },
+};
+
+// Every assignment of planets to a rule's bound names.
+const getBindings = (chart, bind = {}) => Object.keys(bind).reduce(
+    (bindings, name) => {
+      const [kind] = Object.keys(bind[name]);
+      return bindings.flatMap((binding) =>
+        BINDERS[kind](chart, bind[name][kind], binding).map((planet) => ({
+          ...binding,
+          [name]: planet,
+        })));
+    },
+    [{}],
+);
+
+// Yogas present in a D1 chart from sidereal longitudes of the grahas,
+// nodes and Ascendant. Each is reported once per set of planets, with the
+// rule and the facts that satisfied it.
+const buildYogas = (longitudes, rules = YOGA_RULES) => {
+  const chart = createChart(longitudes);
+  const found = new Map();
+  rules.forEach((rule) => {
+    getBindings(chart, rule.bind).forEach((binding) => {
+      const resolve = (name) => binding[name] || name;
+      const results = [];
+      for (const condition of rule.conditions) {
+        const result = evaluate(chart, condition, resolve);
+        if (!result) return;
+        results.push(result);
+      }
+      // Lords bound by house are named with the houses they rule.
+      const lordNotes = Object.keys(rule.bind || {})
+          .filter((name) => rule.bind[name].lordOf)
+          .map((name) => {
+            const houses = rule.bind[name].lordOf.filter((house) =>
+              chart.lordOf(house) === binding[name]);
+            return `${binding[name]} rules the ` +
+              houses.map(ordinal).join(" and ");
+          });
+      const planets = unique(results.flatMap((result) => result.planets));
+      const key = `${rule.name}:${[...planets].sort().join(",")}`;
+      if (found.has(key)) return;
+      found.set(key, {
+        name: rule.name,
+        group: rule.group,
+        planets,
+        rule: rule.description,
+        matched: [
+          ...lordNotes,
+          ...results.flatMap((result) => result.notes),
+        ],
+      });
+    });
+  });
+  return [...found.values()];
+};
+
+module.exports = {
+  buildYogas,
+};
@@ -10,6 +10,7 @@ const SEI_FILE_REORD = 2;
 const SEI_FLG_HELIO = 1;
 const SEI_FLG_ROTATE = 2;
 const SEI_FLG_ELLIPSE = 4;
+const SEI_FLG_EMBHEL = 8;
 
 const SEI_SUN = 0;
 const SEI_MOON = 1;
@@ -21,6 +22,10 @@ const SEI_SATURN = 6;
 const SEI_URANUS = 7;
 const SEI_NEPTUNE = 8;
 const SEI_PLUTO = 9;
+const SEI_SUNBARY = 10;
+
+// Earth/Moon mass ratio (DE431), used to split the Earth-Moon barycenter.
+const EARTH_MOON_MRAT = 81.30056907419062;
 
 const TWOPI = Math.PI * 2;
 
@@ -50,6 +55,23 @@ const echeb = (x, coef, ncf) => {
   return (br - brp2) * 0.5;
 };
 
+/**
+ * Coefficients of the derivative of a Chebyshev series, in the same
+ * half-weighted first-term convention that echeb evaluates.
+ * @param {number[]} coef
+ * @param {number} ncf
+ * @return {number[]}
+ */
+const chebDerivative = (coef, ncf) => {
+  const der = Array(ncf).fill(0);
+  if (ncf < 2) return der;
+  der[ncf - 2] = 2 * (ncf - 1) * coef[ncf - 1];
+  for (let j = ncf - 3; j >= 0; j -= 1) {
+    der[j] = der[j + 2] + 2 * (j + 1) * coef[j + 1];
+  }
+  return der;
+};
+
 /**
  * Reader for Swiss Ephemeris binary files.
  */
@@ -299,33 +321,40 @@ class SwissEphemerisFile {
           som * planet.refep[i];
       }
     }
+    // Orthonormal frame from the equinoctial elements, as in sweph.c: uix
+    // points to the origin of longitudes, uiz along the orbit pole.
     const cosih2 = 1.0 / (1.0 + qav * qav + pav * pav);
     const uiz = [
       2.0 * pav * cosih2,
       -2.0 * qav * cosih2,
       (1.0 - qav * qav - pav * pav) * cosih2,
     ];
-    const uiy = [-uiz[1], uiz[0], 0.0];
-    const uizLen = Math.hypot(uiz[0], uiz[1], uiz[2]);
-    const uiyLen = Math.hypot(uiy[0], uiy[1], uiy[2]);
-    const uizn = uiz.map((v) => v / uizLen);
-    const uiyn = uiy.map((v) => v / uiyLen);
     const uix = [
-      uiyn[1] * uizn[2] - uiyn[2] * uizn[1],
-      uiyn[2] * uizn[0] - uiyn[0] * uizn[2],
-      uiyn[0] * uizn[1] - uiyn[1] * uizn[0],
+      (1.0 + qav * qav - pav * pav) * cosih2,
+      2.0 * qav * pav * cosih2,
+      -2.0 * pav * cosih2,
+    ];
+    const uiy = [
+      2.0 * qav * pav * cosih2,
+      (1.0 - qav * qav + pav * pav) * cosih2,
+      2.0 * qav * cosih2,
     ];
     const seps2000 = 0.39777715572793088;
     const ceps2000 = 0.91748206215761929;
     for (let i = 0; i < nco; i += 1) {
-      const xrot = uix[0] * x[i][0] + uiyn[0] * x[i][1] + uizn[0] * x[i][2];
-      const yrot = uix[1] * x[i][0] + uiyn[1] * x[i][1] + uizn[1] * x[i][2];
-      const zrot = uix[2] * x[i][0] + uiyn[2] * x[i][1] + uizn[2] * x[i][2];
-      const yrot2 = ceps2000 * yrot + seps2000 * zrot;
-      const zrot2 = -seps2000 * yrot + ceps2000 * zrot;
+      const xrot = x[i][0] * uix[0] + x[i][1] * uiy[0] + x[i][2] * uiz[0];
+      const yrot = x[i][0] * uix[1] + x[i][1] * uiy[1] + x[i][2] * uiz[1];
+      const zrot = x[i][0] * uix[2] + x[i][1] * uiy[2] + x[i][2] * uiz[2];
       planet.segp[i] = xrot;
-      planet.segp[i + nco] = yrot2;
-      planet.segp[i + 2 * nco] = zrot2;
+      if (planet.ipli === SEI_MOON) {
+        // The Moon is stored relative to the J2000 ecliptic; the planets are
+        // already referred to the J2000 equator.
+        planet.segp[i + nco] = ceps2000 * yrot - seps2000 * zrot;
+        planet.segp[i + 2 * nco] = seps2000 * yrot + ceps2000 * zrot;
+      } else {
+        planet.segp[i + nco] = yrot;
+        planet.segp[i + 2 * nco] = zrot;
+      }
     }
   }
 
@@ -444,9 +473,9 @@ class SwissEphemerisFile {
   /**
    * @param {number} ipli
    * @param {number} tjd
-   * @return {number[]}
+   * @return {Object}
    */
-  evaluate(ipli, tjd) {
+  loadSegment(ipli, tjd) {
     const planet = this.planets.get(ipli);
     if (!planet) {
       throw new Error(
@@ -456,6 +485,16 @@ class SwissEphemerisFile {
     if (!planet.segp || tjd < planet.tseg0 || tjd > planet.tseg1) {
       this.readSegment(ipli, tjd);
     }
+    return planet;
+  }
+
+  /**
+   * @param {number} ipli
+   * @param {number} tjd
+   * @return {number[]}
+   */
+  evaluate(ipli, tjd) {
+    const planet = this.loadSegment(ipli, tjd);
     const t = ((tjd - planet.tseg0) / planet.dseg) * 2 - 1;
     const nco = planet.ncoe;
     const values = [];
@@ -468,6 +507,28 @@ class SwissEphemerisFile {
     return values;
   }
 
+  /**
+   * Velocity in AU per day from the derivative of the Chebyshev series.
+   * @param {number} ipli
+   * @param {number} tjd
+   * @return {number[]}
+   */
+  evaluateSpeed(ipli, tjd) {
+    const planet = this.loadSegment(ipli, tjd);
+    const t = ((tjd - planet.tseg0) / planet.dseg) * 2 - 1;
+    const nco = planet.ncoe;
+    const values = [];
+    for (let i = 0; i < 3; i += 1) {
+      const offset = i * nco;
+      const der = chebDerivative(
+          planet.segp.slice(offset, offset + planet.neval),
+          planet.neval,
+      );
+      values.push(echeb(t, der, planet.neval) * (2 / planet.dseg));
+    }
+    return values;
+  }
+
   /**
    * @param {number} ipli
    * @return {number}
@@ -488,6 +549,7 @@ module.exports = {
   SEI_FLG_HELIO,
   SEI_FLG_ROTATE,
   SEI_FLG_ELLIPSE,
+  SEI_FLG_EMBHEL,
   SEI_SUN,
   SEI_MOON,
   SEI_MERCURY,
@@ -498,6 +560,8 @@ module.exports = {
   SEI_URANUS,
   SEI_NEPTUNE,
   SEI_PLUTO,
+  SEI_SUNBARY,
+  EARTH_MOON_MRAT,
   EPHEMERIS_PATH,
   EPHEMERIS_FILES,
 };
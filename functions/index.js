@@ -11,30 +11,61 @@ const {
   SEI_MARS,
   SEI_JUPITER,
   SEI_SATURN,
+  SEI_URANUS,
+  SEI_NEPTUNE,
+  SEI_PLUTO,
   EPHEMERIS_FILES,
 } = require("./ephemeris/SwissEphemerisFile");
-const {compatibility} = require("./astrology/constants");
+const {zodiac, compatibility, kp} = require("./astrology/constants");
+const {resolveLocalTime, formatOffset} = require("./astrology/timezone");
+const {buildDashaTimeline} = require("./astrology/dasha");
+const {resolveVargas, getVargaSign} = require("./astrology/varga");
+const {buildAshtakavarga} = require("./astrology/ashtakavarga");
+const {buildShadbala} = require("./astrology/shadbala");
+const {
+  describeMoon,
+  buildAshtakoota,
+  buildManglik,
+} = require("./astrology/compatibility");
+const {
+  createSky,
+  getSamvat,
+  buildPanchanga,
+} = require("./astrology/panchanga");
+const {buildMuhurta} = require("./astrology/muhurta");
+const {buildTransits} = require("./astrology/transits");
+const {searchEvents} = require("./astrology/events");
+const {searchEclipses} = require("./astrology/eclipses");
+const {buildYogas} = require("./astrology/yogas");
+const {buildDrishti} = require("./astrology/drishti");
+const {buildJaimini} = require("./astrology/jaimini");
+const {buildSpecialPoints} = require("./astrology/upagraha");
+const {buildKpChart} = require("./astrology/kp");
+const {validationError} = require("./astrology/errors");
 const {
   normalizeDegrees,
   toJulianDay,
-  greenwichSiderealTime,
 } = require("./astrology/math");
 const {
   SIGN_NAMES,
   getSign,
   getDegInSign,
-  getLahiriAyanamsha,
+  getAyanamsha,
   getPlanetLongitude,
-  getNavamshaSign,
-  getDashamshaSign,
+  getPlanetSpeed,
+  isCombust,
   getNakshatraDetails,
   formatDms,
   getTithi,
-  getVikramSamvatYear,
+  getNaturalRelationship,
+  getTemporalRelationship,
+  getCompoundRelationship,
   getPlanetStatus,
   buildVimshottariDasha,
   buildSripatiBhava,
   getNodesSidereal,
+  getSiderealLongitudes,
+  getSiderealAngles,
 } = require("./astrology/calculations");
 
 setGlobalOptions({maxInstances: 10});
@@ -44,32 +75,190 @@ const ephemerisCache = {
   moon: new SwissEphemerisFile(EPHEMERIS_FILES.moon),
 };
 
+const {DIGNITY_TABLE} = zodiac;
 const {AVAKHADA_MAP} = compatibility;
+const {CHART_SYSTEMS, KP_AYANAMSHA} = kp;
 const PYJHORA_SCRIPT = path.join(
     __dirname,
     "pyjhora",
     "get_birth_chart_detail.py",
 );
 
+const resolveBirthMoment = (data) => {
+  ["dob", "time"].forEach((field) => {
+    if (!data[field]) {
+      throw validationError("Missing birth details", {
+        field,
+        reason: "missing-birth-details",
+      });
+    }
+  });
+  const birthTime = resolveLocalTime(data.dob, data.time, data.tz);
+  const jsDate = new Date(birthTime.utcMs);
+  const jd = toJulianDay(jsDate);
+  const ayanamshaSystem = getAyanamsha(jd, data.ayanamsha || "lahiri");
+  return {birthTime, jsDate, jd, ayanamshaSystem};
+};
+
+// A finite number within [min, max] from `data[field]`, else a validation
+// error naming the field.
+const parseCoordinate = (data, field, label, [min, max]) => {
+  const value = parseFloat(data[field]);
+  if (!Number.isFinite(value) || value < min || value > max) {
+    throw validationError(`Invalid ${label}: ${data[field]}`, {
+      field,
+      reason: Number.isFinite(value) ? "out-of-range" : "invalid-format",
+      value: data[field],
+    });
+  }
+  return value;
+};
+
+const resolveLocation = (data) => {
+  ["lat", "lng"].forEach((field) => {
+    if (data[field] === undefined) {
+      throw validationError("Missing birth location", {
+        field,
+        reason: "missing-location",
+      });
+    }
+  });
+  const lat = parseCoordinate(data, "lat", "latitude", [-90, 90]);
+  const lng = parseCoordinate(data, "lng", "longitude", [-180, 180]);
+  // Height above sea level in metres; only rise and set times use it.
+  const altitude = data.altitude === undefined ? 0 :
+    parseCoordinate(data, "altitude", "altitude", [-Infinity, Infinity]);
+  return {lat, lng, altitude};
+};
+
+// Local midnight beginning the civil day given by `data[field]`, and its
+// weekday.
+const resolveCivilDay = (data, field = "date") => {
+  if (!data[field]) {
+    throw validationError(`Missing ${field}`, {
+      field,
+      reason: "missing-date",
+    });
+  }
+  const midnight = resolveLocalTime(data[field], "00:00", data.tz);
+  return {
+    midnight,
+    startJd: toJulianDay(new Date(midnight.utcMs)),
+    weekday: new Date(
+        midnight.utcMs + midnight.offsetMinutes * 60000,
+    ).getUTCDay(),
+  };
+};
+
+const resolveChartSystem = (system = "parashari") => {
+  if (!CHART_SYSTEMS.includes(system)) {
+    throw validationError(`Unknown chart system: ${system}`, {
+      field: "system",
+      reason: "unknown-system",
+      supported: CHART_SYSTEMS,
+    });
+  }
+  return system;
+};
+
+// Query fields named by the errors of the shared birth-detail resolvers.
+const KP_QUERY_FIELDS = {
+  dob: "date",
+  time: "time",
+  tz: "tz",
+  lat: "lat",
+  lng: "lng",
+  altitude: "altitude",
+};
+
+// Result of `resolve`, with validation errors reported against the KP
+// query's own fields rather than the birth details.
+const resolveKpQuery = (resolve) => {
+  try {
+    return resolve();
+  } catch (err) {
+    const name = err.details && KP_QUERY_FIELDS[err.details.field];
+    if (!name) throw err;
+    const field = `query.${name}`;
+    const value = err.details.value === undefined ?
+      "" :
+      `: ${err.details.value}`;
+    throw validationError(`Invalid ${field}${value}`, {
+      ...err.details,
+      field,
+    });
+  }
+};
+
+// KP chart on the KP ayanamsha. Ruling planets are taken for `data.query`
+// ({date, time, tz, lat, lng, altitude}), by default now at the birth
+// place.
+const getKpChart = (data) => {
+  const location = resolveLocation(data);
+  const {birthTime, jsDate, jd, ayanamshaSystem} = resolveBirthMoment({
+    ...data,
+    ayanamsha: KP_AYANAMSHA,
+  });
+  const query = data.query || {};
+  const queryDate = query.date ?
+    new Date(resolveKpQuery(() => resolveLocalTime(
+        query.date,
+        query.time || "00:00",
+        query.tz || data.tz,
+    )).utcMs) :
+    new Date();
+  const queryJd = toJulianDay(queryDate);
+  const queryLocation = query.lat !== undefined && query.lng !== undefined ?
+    resolveKpQuery(() => resolveLocation(query)) :
+    location;
+  const nodeType = data.nodeType || "mean";
+
+  return {
+    status: "success",
+    metadata: {
+      system: "kp",
+      birth_time_utc: jsDate.toISOString(),
+      utc_offset: formatOffset(birthTime.offsetMinutes),
+      time_zone: birthTime.zone,
+      ayanamsha_used: ayanamshaSystem,
+      house_system: "placidus",
+      node_type: nodeType,
+      query_time_utc: queryDate.toISOString(),
+    },
+    kp: buildKpChart({
+      jd,
+      lat: location.lat,
+      lng: location.lng,
+      ayanamsha: ayanamshaSystem.value,
+      nodeType,
+      includeSubTable: data.includeSubTable === true,
+      query: {
+        jd: queryJd,
+        ...queryLocation,
+        ayanamsha: getAyanamsha(queryJd, KP_AYANAMSHA).value,
+      },
+    }, ephemerisCache),
+  };
+};
+
 exports.getBirthChart = onCall({cors: true}, (request) => {
   const data = request.data;
 
   try {
-    if (!data.dob || !data.time) throw new Error("Missing birth details");
-
-    const [y, m, d] = data.dob.split("-").map(Number);
-    const [hh, mm] = data.time.split(":").map(Number);
-    const jsDate = new Date(Date.UTC(y, m - 1, d, hh, mm));
-    const jd = toJulianDay(jsDate);
-    const ayanamsha = getLahiriAyanamsha(jd);
-    const lng = parseFloat(data.lng || 0);
-
-    const lst = greenwichSiderealTime(jd);
-    const tropicalAsc = normalizeDegrees(lst + lng);
-    const siderealAsc = normalizeDegrees(tropicalAsc - ayanamsha);
+    if (resolveChartSystem(data.system) === "kp") return getKpChart(data);
+
+    const {lat, lng, altitude} = resolveLocation(data);
+    const {birthTime, jsDate, jd, ayanamshaSystem} = resolveBirthMoment(data);
+    const ayanamsha = ayanamshaSystem.value;
+
+    const angles = getSiderealAngles(jd, lat, lng, ayanamsha);
+    const siderealAsc = angles.ascendant;
+    const siderealMc = angles.midheaven;
     const ascSign = getSign(siderealAsc);
 
-    const charts = {D1: {}, D9: {}, D10: {}};
+    const vargas = resolveVargas(data.vargas);
+    const charts = {D1: {}};
+    const siderealLongitudes = {};
 
     const planetConfigs = [
       {name: "Sun", id: SEI_SUN},
@@ -80,37 +269,89 @@ exports.getBirthChart = onCall({cors: true}, (request) => {
       {name: "Jupiter", id: SEI_JUPITER},
       {name: "Saturn", id: SEI_SATURN},
     ];
+    if (data.includeOuterPlanets === true) {
+      planetConfigs.push(
+          {name: "Uranus", id: SEI_URANUS},
+          {name: "Neptune", id: SEI_NEPTUNE},
+          {name: "Pluto", id: SEI_PLUTO},
+      );
+    }
+
+    const sunLongitude = normalizeDegrees(
+        getPlanetLongitude(SEI_SUN, jd, ephemerisCache) - ayanamsha,
+    );
 
     const planetaryPositions = [];
     planetConfigs.forEach((planet) => {
       const lon = getPlanetLongitude(planet.id, jd, ephemerisCache);
       const siderealLongitude = normalizeDegrees(lon - ayanamsha);
+      const speed = getPlanetSpeed(planet.id, jd, ephemerisCache);
+      const retrograde = speed < 0;
+      const combust = isCombust(
+          planet.name,
+          siderealLongitude,
+          sunLongitude,
+          retrograde,
+      );
       const sign = getSign(siderealLongitude);
       const deg = getDegInSign(siderealLongitude);
       const house = ((sign - ascSign + 12) % 12) + 1;
-      const nakshatra = getNakshatraDetails(siderealLongitude);
-      const status = getPlanetStatus(planet.name, sign);
 
       charts.D1[planet.name] = {sign, house, degrees: deg};
-      charts.D9[planet.name] = {sign: getNavamshaSign(sign, deg)};
-      charts.D10[planet.name] = {sign: getDashamshaSign(sign, deg)};
-
-      const formatted = [
-        `${planet.name} ${SIGN_NAMES[sign - 1]} ${formatDms(deg)}`,
-        `(Nakshatra ${nakshatra.name} Pada ${nakshatra.pada})`,
-        status,
-      ].join(" ");
+      siderealLongitudes[planet.name] = siderealLongitude;
       planetaryPositions.push({
         planet: planet.name,
         sign: SIGN_NAMES[sign - 1],
         degrees: formatDms(deg),
+        speed,
+        retrograde,
+        combust,
+      });
+    });
+
+    // Compound relationships, and so statuses, need every graha's sign.
+    const d1Signs = {};
+    Object.keys(charts.D1).forEach((body) => {
+      d1Signs[body] = charts.D1[body].sign;
+    });
+    planetaryPositions.forEach((entry) => {
+      const {sign, degrees} = charts.D1[entry.planet];
+      const {retrograde, combust} = entry;
+      const nakshatra = getNakshatraDetails(siderealLongitudes[entry.planet]);
+      const status = getPlanetStatus(entry.planet, sign, degrees, d1Signs);
+      const markers = `${retrograde ? "(R)" : ""}${combust ? "(C)" : ""}`;
+      Object.assign(entry, {
         nakshatra: `${nakshatra.name}-${nakshatra.pada}`,
         status,
-        formatted,
       });
+      entry.formatted = [
+        `${entry.planet} ${entry.sign} ${entry.degrees}`,
+        markers,
+        `(Nakshatra ${nakshatra.name} Pada ${nakshatra.pada})`,
+        status,
+      ].filter(Boolean).join(" ");
     });
 
-    const {rahuSidereal, ketuSidereal} = getNodesSidereal(jd, ayanamsha);
+    const planetaryRelationships = {};
+    Object.keys(DIGNITY_TABLE).forEach((planet) => {
+      planetaryRelationships[planet] = {};
+      Object.keys(DIGNITY_TABLE).forEach((other) => {
+        if (other === planet) return;
+        planetaryRelationships[planet][other] = {
+          natural: getNaturalRelationship(planet, other),
+          temporal: getTemporalRelationship(planet, other, d1Signs),
+          compound: getCompoundRelationship(planet, other, d1Signs),
+        };
+      });
+    });
+
+    const nodeType = data.nodeType || "mean";
+    const {rahuSidereal, ketuSidereal} = getNodesSidereal(
+        jd,
+        ayanamsha,
+        nodeType,
+        ephemerisCache,
+    );
 
     const rSign = getSign(rahuSidereal);
     const kSign = getSign(ketuSidereal);
@@ -126,13 +367,87 @@ exports.getBirthChart = onCall({cors: true}, (request) => {
       degrees: getDegInSign(ketuSidereal),
     };
 
-    charts.D9.Rahu = {
-      sign: getNavamshaSign(rSign, getDegInSign(rahuSidereal)),
-    };
-    charts.D9.Ketu = {
-      sign: getNavamshaSign(kSign, getDegInSign(ketuSidereal)),
+    siderealLongitudes.Rahu = rahuSidereal;
+    siderealLongitudes.Ketu = ketuSidereal;
+    siderealLongitudes.Ascendant = siderealAsc;
+
+    charts.D1.Ascendant = {
+      sign: ascSign,
+      house: 1,
+      degrees: getDegInSign(siderealAsc),
     };
 
+    // Houses in each varga are counted from that varga's own lagna.
+    vargas.filter((varga) => varga !== "D1").forEach((varga) => {
+      const vargaLagna = getVargaSign(varga, siderealAsc);
+      charts[varga] = {};
+      Object.keys(siderealLongitudes).forEach((body) => {
+        const sign = getVargaSign(varga, siderealLongitudes[body]);
+        charts[varga][body] = {
+          sign,
+          house: ((sign - vargaLagna + 12) % 12) + 1,
+        };
+      });
+    });
+    let ashtakavarga;
+    if (data.includeAshtakavarga === true) {
+      ashtakavarga = buildAshtakavarga({
+        ...d1Signs,
+        Ascendant: ascSign,
+      });
+    }
+    let jaimini;
+    if (data.includeJaimini === true) {
+      jaimini = buildJaimini({
+        d1: charts.D1,
+        karakas: data.karakas,
+        jd,
+        ayanamsha,
+        lat,
+        lng,
+        altitude,
+      }, ephemerisCache);
+    }
+    let specialPoints;
+    if (data.includeSpecialPoints === true) {
+      specialPoints = buildSpecialPoints({
+        jd,
+        lat,
+        lng,
+        altitude,
+        ayanamsha,
+        longitudes: siderealLongitudes,
+      }, ephemerisCache);
+    }
+    if (!vargas.includes("D1")) delete charts.D1;
+
+    let yogas;
+    if (data.includeYogas === true) {
+      yogas = buildYogas(siderealLongitudes);
+    }
+
+    let drishti;
+    if (data.includeDrishti === true) {
+      drishti = buildDrishti({
+        longitudes: siderealLongitudes,
+        midheaven: siderealMc,
+        nodeAspects: data.nodeAspects,
+      });
+    }
+
+    let shadbala;
+    if (data.includeShadbala === true) {
+      shadbala = buildShadbala({
+        jd,
+        lat,
+        lng,
+        ayanamsha,
+        longitudes: siderealLongitudes,
+        ascendant: siderealAsc,
+        midheaven: siderealMc,
+      }, ephemerisCache);
+    }
+
     const rahuNakshatra = getNakshatraDetails(rahuSidereal);
     const ketuNakshatra = getNakshatraDetails(ketuSidereal);
     planetaryPositions.push({
@@ -165,14 +480,15 @@ exports.getBirthChart = onCall({cors: true}, (request) => {
     const moonLongitude = normalizeDegrees(
         getPlanetLongitude(SEI_MOON, jd, ephemerisCache) - ayanamsha,
     );
-    const sunLongitude = normalizeDegrees(
-        getPlanetLongitude(SEI_SUN, jd, ephemerisCache) - ayanamsha,
-    );
     const moonNakshatra = getNakshatraDetails(moonLongitude);
     const vimshottariDasha = buildVimshottariDasha(moonLongitude);
 
+    const samvat = getSamvat(
+        createSky(data.ayanamsha || "lahiri", ephemerisCache),
+        jd,
+    );
     const birthParticulars = {
-      vikram_samvat: `Vikram Samvat ${getVikramSamvatYear(jsDate)}`,
+      vikram_samvat: `Vikram Samvat ${samvat.vikram_samvat}`,
       tithi: getTithi(moonLongitude, sunLongitude),
       nakshatra: `${moonNakshatra.name} Nakshatra`,
     };
@@ -182,28 +498,389 @@ exports.getBirthChart = onCall({cors: true}, (request) => {
     return {
       status: "success",
       metadata: {
+        birth_time_utc: jsDate.toISOString(),
+        utc_offset: formatOffset(birthTime.offsetMinutes),
+        time_zone: birthTime.zone,
         ascendant_sign: ascSign,
         ascendant_degrees: siderealAsc,
-        ayanamsha_used: ayanamsha,
+        midheaven_degrees: siderealMc,
+        ayanamsha_used: ayanamshaSystem,
+        node_type: nodeType,
       },
       birth_particulars: birthParticulars,
       avakhada_chakra: avakhada,
       planetary_positions: planetaryPositions,
+      planetary_relationships: planetaryRelationships,
       vimshottari_dasha_at_birth: {
         current: vimshottariDasha.current,
         balance: `${vimshottariDasha.balance.years}y ` +
           `${vimshottariDasha.balance.months}m ` +
           `${vimshottariDasha.balance.days}d`,
       },
-      bhava_sripati: buildSripatiBhava(siderealAsc),
+      bhava_sripati: buildSripatiBhava(siderealAsc, siderealMc),
       charts,
+      ...(ashtakavarga && {ashtakavarga}),
+      ...(shadbala && {shadbala}),
+      ...(yogas && {yogas}),
+      ...(drishti && {drishti}),
+      ...(jaimini && {jaimini}),
+      ...(specialPoints && {special_points: specialPoints}),
     };
   } catch (err) {
+    if (err.details) {
+      throw new HttpsError("invalid-argument", err.message, err.details);
+    }
     console.error("Ephemeris Error:", err);
     throw new HttpsError("internal", `Calculation failed: ${err.message}`);
   }
 });
 
+exports.getDashaTimeline = onCall({cors: true}, (request) => {
+  const data = request.data;
+
+  try {
+    const {birthTime, jsDate, jd, ayanamshaSystem} = resolveBirthMoment(data);
+    const longitudes = getSiderealLongitudes(
+        jd,
+        ayanamshaSystem.value,
+        ephemerisCache,
+        data.nodeType || "mean",
+    );
+    if (data.lat !== undefined && data.lng !== undefined) {
+      const {lat, lng} = resolveLocation(data);
+      longitudes.Ascendant = getSiderealAngles(
+          jd,
+          lat,
+          lng,
+          ayanamshaSystem.value,
+      ).ascendant;
+    }
+    const signs = {};
+    const degrees = {};
+    Object.keys(longitudes).forEach((name) => {
+      signs[name] = getSign(longitudes[name]);
+      degrees[name] = getDegInSign(longitudes[name]);
+    });
+    const moonLongitude = longitudes.Moon;
+    const timeline = buildDashaTimeline(
+        data.dashaSystem || "vimshottari",
+        {moonLongitude, signs, degrees},
+        jsDate.getTime(),
+        {yearLength: data.yearLength, depth: data.depth},
+    );
+
+    return {
+      status: "success",
+      metadata: {
+        birth_time_utc: jsDate.toISOString(),
+        utc_offset: formatOffset(birthTime.offsetMinutes),
+        time_zone: birthTime.zone,
+        ayanamsha_used: ayanamshaSystem,
+        moon_longitude: moonLongitude,
+      },
+      dasha: timeline,
+    };
+  } catch (err) {
+    if (err.details) {
+      throw new HttpsError("invalid-argument", err.message, err.details);
+    }
+    console.error("Dasha Error:", err);
+    throw new HttpsError("internal", `Calculation failed: ${err.message}`);
+  }
+});
+
+// Moon longitude and the D1 signs used for Kuja dosha of one partner.
+const resolvePartner = (details, data, field) => {
+  if (!details || typeof details !== "object") {
+    throw validationError(`Missing ${field} birth details`, {
+      field,
+      reason: "missing-birth-details",
+    });
+  }
+  const person = {ayanamsha: data.ayanamsha, ...details};
+  const {birthTime, jsDate, jd, ayanamshaSystem} = resolveBirthMoment(person);
+  const longitudes = getSiderealLongitudes(
+      jd,
+      ayanamshaSystem.value,
+      ephemerisCache,
+  );
+  const signs = {};
+  Object.keys(longitudes).forEach((name) => {
+    signs[name] = getSign(longitudes[name]);
+  });
+  if (person.lat !== undefined && person.lng !== undefined) {
+    const {lat, lng} = resolveLocation(person);
+    signs.Ascendant = getSign(
+        getSiderealAngles(jd, lat, lng, ayanamshaSystem.value).ascendant,
+    );
+  }
+  const moon = describeMoon(longitudes.Moon);
+  return {
+    moonLongitude: longitudes.Moon,
+    signs,
+    metadata: {
+      birth_time_utc: jsDate.toISOString(),
+      utc_offset: formatOffset(birthTime.offsetMinutes),
+      time_zone: birthTime.zone,
+      ayanamsha_used: ayanamshaSystem,
+      moon_sign: moon.signName,
+      moon_nakshatra: `${moon.nakshatra.name}-${moon.nakshatra.pada}`,
+    },
+  };
+};
+
+exports.getCompatibility = onCall({cors: true}, (request) => {
+  const data = request.data;
+
+  try {
+    const bride = resolvePartner(data.bride, data, "bride");
+    const groom = resolvePartner(data.groom, data, "groom");
+    const brideManglik = buildManglik(bride.signs);
+    const groomManglik = buildManglik(groom.signs);
+
+    return {
+      status: "success",
+      metadata: {
+        bride: bride.metadata,
+        groom: groom.metadata,
+      },
+      ashtakoota: buildAshtakoota(bride.moonLongitude, groom.moonLongitude),
+      manglik: {
+        bride: brideManglik,
+        groom: groomManglik,
+        // Kuja dosha in both charts is considered to cancel out.
+        matched: brideManglik.is_manglik === groomManglik.is_manglik,
+      },
+    };
+  } catch (err) {
+    if (err.details) {
+      throw new HttpsError("invalid-argument", err.message, err.details);
+    }
+    console.error("Compatibility Error:", err);
+    throw new HttpsError("internal", `Calculation failed: ${err.message}`);
+  }
+});
+
+exports.getPanchanga = onCall({cors: true}, (request) => {
+  const data = request.data;
+
+  try {
+    const {midnight, startJd, weekday} = resolveCivilDay(data);
+    const {lat, lng, altitude} = resolveLocation(data);
+    const ayanamsha = data.ayanamsha || "lahiri";
+
+    return {
+      status: "success",
+      metadata: {
+        date: data.date,
+        utc_offset: formatOffset(midnight.offsetMinutes),
+        time_zone: midnight.zone,
+        latitude: lat,
+        longitude: lng,
+        altitude,
+        ayanamsha_used: getAyanamsha(startJd, ayanamsha),
+      },
+      panchanga: buildPanchanga({
+        startJd,
+        weekday,
+        lat,
+        lng,
+        altitude,
+        ayanamsha,
+      }, ephemerisCache),
+    };
+  } catch (err) {
+    if (err.details) {
+      throw new HttpsError("invalid-argument", err.message, err.details);
+    }
+    console.error("Panchanga Error:", err);
+    throw new HttpsError("internal", `Calculation failed: ${err.message}`);
+  }
+});
+
+exports.getMuhurta = onCall({cors: true}, (request) => {
+  const data = request.data;
+
+  try {
+    const {midnight, startJd, weekday} = resolveCivilDay(data);
+    const {lat, lng, altitude} = resolveLocation(data);
+
+    return {
+      status: "success",
+      metadata: {
+        date: data.date,
+        utc_offset: formatOffset(midnight.offsetMinutes),
+        time_zone: midnight.zone,
+        latitude: lat,
+        longitude: lng,
+        altitude,
+      },
+      muhurta: buildMuhurta({
+        startJd,
+        weekday,
+        lat,
+        lng,
+        altitude,
+      }, ephemerisCache),
+    };
+  } catch (err) {
+    if (err.details) {
+      throw new HttpsError("invalid-argument", err.message, err.details);
+    }
+    console.error("Muhurta Error:", err);
+    throw new HttpsError("internal", `Calculation failed: ${err.message}`);
+  }
+});
+
+// Gochara for a natal chart at `data.transit` ({date, time, tz}), with the
+// time defaulting to local midnight and the zone to the birth zone. Both
+// moments use the same ayanamsha system.
+exports.getTransits = onCall({cors: true}, (request) => {
+  const data = request.data;
+
+  try {
+    const {lat, lng} = resolveLocation(data);
+    const natal = resolveBirthMoment(data);
+    const target = data.transit;
+    if (!target || !target.date) {
+      throw validationError("Missing transit date", {
+        field: "transit",
+        reason: "missing-date",
+      });
+    }
+    const transit = resolveBirthMoment({
+      dob: target.date,
+      time: target.time || "00:00",
+      tz: target.tz || data.tz,
+      ayanamsha: data.ayanamsha,
+    });
+    const nodeType = data.nodeType || "mean";
+
+    const natalLongitudes = getSiderealLongitudes(
+        natal.jd,
+        natal.ayanamshaSystem.value,
+        ephemerisCache,
+        nodeType,
+    );
+    const ascendant = getSiderealAngles(
+        natal.jd,
+        lat,
+        lng,
+        natal.ayanamshaSystem.value,
+    ).ascendant;
+    const natalSigns = {
+      Ascendant: getSign(ascendant),
+      Moon: getSign(natalLongitudes.Moon),
+    };
+
+    return {
+      status: "success",
+      metadata: {
+        birth_time_utc: natal.jsDate.toISOString(),
+        transit_time_utc: transit.jsDate.toISOString(),
+        utc_offset: formatOffset(transit.birthTime.offsetMinutes),
+        time_zone: transit.birthTime.zone,
+        ayanamsha_used: transit.ayanamshaSystem,
+        natal_lagna: SIGN_NAMES[natalSigns.Ascendant - 1],
+        natal_moon_sign: SIGN_NAMES[natalSigns.Moon - 1],
+      },
+      transits: buildTransits({
+        jd: transit.jd,
+        ayanamsha: transit.ayanamshaSystem.value,
+        natal: natalSigns,
+        nodeType,
+      }, ephemerisCache),
+    };
+  } catch (err) {
+    if (err.details) {
+      throw new HttpsError("invalid-argument", err.message, err.details);
+    }
+    console.error("Transits Error:", err);
+    throw new HttpsError("internal", `Calculation failed: ${err.message}`);
+  }
+});
+
+// Ingresses, stations and combustion changes from local midnight on
+// `data.start` to the end of `data.end`.
+exports.getEvents = onCall({cors: true}, (request) => {
+  const data = request.data;
+
+  try {
+    const start = resolveCivilDay(data, "start");
+    const end = resolveCivilDay(data, "end");
+    const ayanamsha = data.ayanamsha || "lahiri";
+
+    return {
+      status: "success",
+      metadata: {
+        start: data.start,
+        end: data.end,
+        utc_offset: formatOffset(start.midnight.offsetMinutes),
+        time_zone: start.midnight.zone,
+        ayanamsha_used: getAyanamsha(start.startJd, ayanamsha),
+      },
+      events: searchEvents({
+        startJd: start.startJd,
+        endJd: end.startJd + 1,
+        bodies: data.bodies,
+        events: data.events,
+        ayanamsha,
+        nodeType: data.nodeType,
+      }, ephemerisCache),
+    };
+  } catch (err) {
+    if (err.details) {
+      throw new HttpsError("invalid-argument", err.message, err.details);
+    }
+    console.error("Events Error:", err);
+    throw new HttpsError("internal", `Calculation failed: ${err.message}`);
+  }
+});
+
+// Eclipses with maxima from local midnight on `data.start` to the end of
+// `data.end`; local circumstances are added when a location is given.
+exports.getEclipses = onCall({cors: true}, (request) => {
+  const data = request.data;
+
+  try {
+    const start = resolveCivilDay(data, "start");
+    const end = resolveCivilDay(data, "end");
+    const observer = data.lat !== undefined || data.lng !== undefined ?
+      resolveLocation(data) :
+      undefined;
+    const ayanamsha = data.ayanamsha || "lahiri";
+
+    return {
+      status: "success",
+      metadata: {
+        start: data.start,
+        end: data.end,
+        utc_offset: formatOffset(start.midnight.offsetMinutes),
+        time_zone: start.midnight.zone,
+        ...(observer && {
+          latitude: observer.lat,
+          longitude: observer.lng,
+          altitude: observer.altitude,
+        }),
+        ayanamsha_used: getAyanamsha(start.startJd, ayanamsha),
+      },
+      eclipses: searchEclipses({
+        startJd: start.startJd,
+        endJd: end.startJd + 1,
+        kinds: data.kinds,
+        ayanamsha,
+        observer,
+      }, ephemerisCache),
+    };
+  } catch (err) {
+    if (err.details) {
+      throw new HttpsError("invalid-argument", err.message, err.details);
+    }
+    console.error("Eclipses Error:", err);
+    throw new HttpsError("internal", `Calculation failed: ${err.message}`);
+  }
+});
+
 exports.getBirthChartdetail = onCall({cors: true}, (request) => {
   const data = request.data;
 
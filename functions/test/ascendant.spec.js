@@ -0,0 +1,146 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {ascendantLongitude} = require("../astrology/math");
+const {getBirthChart} = require("../index");
+
+const RAD = Math.PI / 180;
+const EPS_DEGREES = 23.4392911;
+const EPS = EPS_DEGREES * RAD;
+
+// Altitude and the sine of the hour angle of ecliptic longitude `lambda`
+// for a sidereal time and latitude, all in degrees.
+const horizonPlace = (lst, lat, lambda) => {
+  const ra = Math.atan2(
+      Math.sin(lambda * RAD) * Math.cos(EPS),
+      Math.cos(lambda * RAD),
+  );
+  const dec = Math.asin(Math.sin(lambda * RAD) * Math.sin(EPS));
+  const hourAngle = lst * RAD - ra;
+  const altitude = Math.asin(
+      Math.sin(lat * RAD) * Math.sin(dec) +
+      Math.cos(lat * RAD) * Math.cos(dec) * Math.cos(hourAngle),
+  ) / RAD;
+  return {altitude, sinHourAngle: Math.sin(hourAngle)};
+};
+
+const assertUndefinedAt = (fn, lat) => assert.throws(fn, (err) =>
+  err.details.field === "lat" &&
+  err.details.reason === "ascendant-undefined" &&
+  err.details.value === lat,
+);
+
+describe("ascendantLongitude", () => {
+  it("puts the cardinal points on the equator's eastern horizon", () => {
+    [[0, 90], [90, 180], [180, 270], [270, 0]].forEach(([lst, asc]) => {
+      assert.ok(
+          Math.abs(ascendantLongitude(lst, EPS, 0) - asc) < 1e-9,
+          `lst ${lst}`,
+      );
+    });
+  });
+
+  // Raphael's Tables of Houses for London (51°32'N), sidereal time 0h:
+  // Ascendant 26°36' Cancer.
+  it("matches a table of houses", () => {
+    const asc = ascendantLongitude(0, 23.45 * RAD, 51 + 32 / 60);
+    assert.ok(Math.abs(asc - (90 + 26 + 36 / 60)) < 2 / 60, `${asc}`);
+  });
+
+  it("returns the rising degree inside the polar circles", () => {
+    // Every one of these needs the polar flip: the raw arctangent gives
+    // the setting degree instead.
+    [[70, 240], [70, 285], [80, 210], [80, 330], [-75, 45], [-75, 135]]
+        .forEach(([lat, lst]) => {
+          const asc = ascendantLongitude(lst, EPS, lat);
+          const place = horizonPlace(lst, lat, asc);
+          assert.ok(Math.abs(place.altitude) < 1e-9, `${lat}/${lst} altitude`);
+          assert.ok(place.sinHourAngle < 0, `${lat}/${lst} is not east`);
+        });
+  });
+
+  it("returns the rising degree across the sky at high latitudes", () => {
+    [66, 70, 80, 89.9, -66, -80].forEach((lat) => {
+      for (let lst = 5; lst < 360; lst += 10) {
+        const place = horizonPlace(lst, lat, ascendantLongitude(lst, EPS, lat));
+        assert.ok(Math.abs(place.altitude) < 1e-9, `${lat}/${lst} altitude`);
+        assert.ok(place.sinHourAngle < 0, `${lat}/${lst} is not east`);
+      }
+    });
+  });
+
+  it("is undefined at the poles", () => {
+    [90, -90, 91].forEach((lat) =>
+      assertUndefinedAt(() => ascendantLongitude(0, EPS, lat), lat));
+  });
+
+  // At latitude ±(90 - ε) the ecliptic meets the horizon once a day, when
+  // its pole passes through the zenith.
+  it("is undefined while the ecliptic lies on the horizon", () => {
+    const lat = 90 - EPS_DEGREES;
+    assertUndefinedAt(() => ascendantLongitude(270, EPS, lat), lat);
+    assertUndefinedAt(() => ascendantLongitude(90, EPS, -lat), -lat);
+    assert.ok(Number.isFinite(ascendantLongitude(269, EPS, lat)));
+  });
+});
+
+describe("getBirthChart validation", () => {
+  const BIRTH = {
+    dob: "1990-05-15",
+    time: "10:30",
+    tz: "Asia/Kolkata",
+    lat: 28.6,
+    lng: 77.2,
+  };
+  const rejects = (patch, details) => assert.rejects(
+      getBirthChart.run({data: {...BIRTH, ...patch}}),
+      (err) => {
+        assert.equal(err.code, "invalid-argument");
+        assert.deepEqual(err.details, details);
+        return true;
+      },
+  );
+
+  it("rejects a birth at the poles", async () => {
+    await rejects(
+        {lat: 90},
+        {field: "lat", reason: "ascendant-undefined", value: 90},
+    );
+    await rejects(
+        {lat: -90},
+        {field: "lat", reason: "ascendant-undefined", value: -90},
+    );
+  });
+
+  it("rejects malformed and out-of-range coordinates", async () => {
+    await rejects(
+        {lat: 95},
+        {field: "lat", reason: "out-of-range", value: 95},
+    );
+    await rejects(
+        {lat: "x"},
+        {field: "lat", reason: "invalid-format", value: "x"},
+    );
+    await rejects(
+        {lng: -181},
+        {field: "lng", reason: "out-of-range", value: -181},
+    );
+    await rejects(
+        {altitude: "high"},
+        {field: "altitude", reason: "invalid-format", value: "high"},
+    );
+  });
+
+  it("names the missing birth detail", async () => {
+    await rejects(
+        {dob: undefined},
+        {field: "dob", reason: "missing-birth-details"},
+    );
+    await rejects({time: ""}, {field: "time", reason: "missing-birth-details"});
+    await rejects({lng: undefined}, {field: "lng", reason: "missing-location"});
+  });
+
+  it("casts a chart inside the polar circle", async () => {
+    const chart = await getBirthChart.run({data: {...BIRTH, lat: 70}});
+    assert.equal(chart.status, "success");
+  });
+});
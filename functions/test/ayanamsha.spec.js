@@ -0,0 +1,58 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {getAyanamsha} = require("../astrology/calculations");
+
+const J2000 = 2451545.0;
+const J2100 = 2488070.0;
+const ARCSECOND = 1 / 3600;
+
+// Mean ayanamsha in degrees against published values. The J2000 figures
+// are those tabulated in the Swiss Ephemeris documentation; True
+// Chitrapaksha puts Spica, at 203°50'29" tropical in 2000, at 180°.
+const REFERENCES = [
+  {system: "lahiri", jd: J2000, expected: 23.857092, tolerance: 0.001},
+  {system: "raman", jd: J2000, expected: 22.410791, tolerance: 0.001},
+  {system: "krishnamurti", jd: J2000, expected: 23.760241, tolerance: 0.001},
+  {system: "kp", jd: J2000, expected: 23.760241, tolerance: 0.001},
+  {system: "yukteshwar", jd: J2000, expected: 22.478803, tolerance: 0.001},
+  {system: "fagan_bradley", jd: J2000, expected: 24.7403, tolerance: 0.001},
+  // Fagan and Bradley's defining value, 24°02'31.36" for 1950.
+  {
+    system: "fagan_bradley",
+    jd: 2433282.42346,
+    expected: 24 + 2 / 60 + 31.36 / 3600,
+    tolerance: ARCSECOND,
+  },
+  {
+    system: "true_chitrapaksha",
+    jd: J2000,
+    expected: 203 + 50 / 60 + 29 / 3600 - 180,
+    tolerance: 0.003,
+  },
+  // A user-defined epoch, value and rate advances linearly.
+  {
+    system: {epoch: J2000, value: 23.85, rate: 50.2388475},
+    jd: J2100,
+    expected: 23.85 + (100 * 50.2388475) / 3600,
+    tolerance: 1e-9,
+  },
+];
+
+describe("getAyanamsha", () => {
+  REFERENCES.forEach(({system, jd, expected, tolerance}) => {
+    const label = typeof system === "string" ? system : "user-defined";
+    it(`matches ${label} at JD ${jd}`, () => {
+      const {value} = getAyanamsha(jd, system);
+      assert.ok(
+          Math.abs(value - expected) <= tolerance,
+          `${label}: ${value} differs from ${expected} by more than ` +
+            `${tolerance}`,
+      );
+    });
+  });
+
+  it("rejects an unknown system", () => {
+    assert.throws(() => getAyanamsha(J2000, "unknown"), (err) =>
+      err.details && err.details.reason === "unknown-ayanamsha");
+  });
+});
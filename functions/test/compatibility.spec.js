@@ -0,0 +1,140 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  describeMoon,
+  buildAshtakoota,
+  buildManglik,
+} = require("../astrology/compatibility");
+
+const KOOTAS = [
+  "varna",
+  "vashya",
+  "tara",
+  "yoni",
+  "graha_maitri",
+  "gana",
+  "bhakoot",
+  "nadi",
+];
+const pointsOf = (result) => KOOTAS.map((name) => result.kootas[name].points);
+
+// Breakdowns in KOOTAS order, worked by hand from the standard Ashtakoota
+// tables, for the bride's and groom's sidereal Moon longitudes.
+const PAIRS = [
+  {
+    name: "Magha and Ashwini",
+    bride: 125,
+    groom: 2,
+    points: [1, 0.5, 3, 2, 5, 1, 0, 8],
+    total: 20.5,
+    adjusted: 27.5,
+  },
+  {
+    name: "the same pada of Ashwini",
+    bride: 2,
+    groom: 2,
+    points: [1, 2, 3, 4, 5, 6, 7, 0],
+    total: 28,
+    adjusted: 28,
+  },
+  {
+    name: "Krittika and Rohini in Taurus",
+    bride: 31,
+    groom: 45,
+    points: [1, 2, 3, 2, 5, 0, 7, 0],
+    total: 20,
+    adjusted: 28,
+  },
+];
+
+describe("buildAshtakoota", () => {
+  PAIRS.forEach(({name, bride, groom, points, total, adjusted}) => {
+    it(`scores ${name}`, () => {
+      const result = buildAshtakoota(bride, groom);
+      assert.deepEqual(pointsOf(result), points);
+      assert.equal(result.total, total);
+      assert.equal(result.adjusted_total, adjusted);
+      assert.equal(result.max, 36);
+    });
+  });
+
+  it("reads the corrected nadi and yoni tables", () => {
+    assert.equal(describeMoon(45).nadi, "Antya");
+    assert.equal(describeMoon(70).nadi, "Adi");
+    assert.equal(describeMoon(355).yoni, "Gaja");
+  });
+
+  it("keeps Nadi dosha within one pada of one nakshatra", () => {
+    const {doshas} = buildAshtakoota(2, 2);
+    assert.deepEqual(doshas.nadi, {
+      present: true,
+      cancelled: false,
+      cancellations: [],
+    });
+  });
+
+  it("cancels Nadi dosha for different padas of one nakshatra", () => {
+    const {doshas} = buildAshtakoota(2, 8);
+    assert.equal(doshas.nadi.present, true);
+    assert.deepEqual(doshas.nadi.cancellations, [
+      "Same nakshatra in different padas",
+    ]);
+  });
+
+  it("cancels Nadi dosha for one Moon sign with different nakshatras", () => {
+    const {doshas} = buildAshtakoota(31, 45);
+    assert.deepEqual(doshas.nadi.cancellations, [
+      "Same Moon sign with different nakshatras",
+    ]);
+  });
+
+  it("cancels Bhakoot dosha when the sign lords are mutual friends", () => {
+    const {doshas} = buildAshtakoota(125, 2);
+    assert.deepEqual(doshas.bhakoot, {
+      present: true,
+      cancelled: true,
+      cancellations: ["Moon sign lords are mutual friends"],
+    });
+  });
+
+  it("keeps Bhakoot dosha between Aries and Virgo", () => {
+    const {kootas, doshas} = buildAshtakoota(2, 165);
+    assert.equal(kootas.bhakoot.points, 0);
+    assert.equal(doshas.bhakoot.cancelled, false);
+  });
+});
+
+describe("buildManglik", () => {
+  const AFFLICTED = [1, 2, 4, 7, 8, 12];
+
+  it("afflicts the houses from the lagna that cause Kuja dosha", () => {
+    for (let house = 1; house <= 12; house += 1) {
+      // Lagna in Gemini and Mars kept out of its own and exaltation signs.
+      const mars = ((2 + house - 1) % 12) + 1;
+      if ([1, 8, 10].includes(mars)) continue;
+      const result = buildManglik({
+        Ascendant: 3,
+        Moon: 6,
+        Venus: 6,
+        Mars: mars,
+        Jupiter: 0,
+      });
+      assert.equal(result.from_lagna.house, house);
+      assert.equal(result.is_manglik, AFFLICTED.includes(house), `${house}`);
+    }
+  });
+
+  it("falls back to the Moon without a lagna", () => {
+    const result = buildManglik({Moon: 3, Venus: 3, Mars: 9, Jupiter: 5});
+    assert.equal(result.from_lagna, undefined);
+    assert.equal(result.from_moon.house, 7);
+    assert.equal(result.is_manglik, true);
+  });
+
+  it("cancels the dosha for Mars in its own sign", () => {
+    const result = buildManglik({Ascendant: 2, Moon: 2, Venus: 2, Mars: 1});
+    assert.equal(result.dosha_present, true);
+    assert.deepEqual(result.cancellations, ["Mars in its own sign"]);
+    assert.equal(result.is_manglik, false);
+  });
+});
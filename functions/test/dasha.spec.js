@@ -0,0 +1,69 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {buildDashaTimeline} = require("../astrology/dasha");
+
+const BIRTH_MS = Date.UTC(1990, 4, 15, 5, 0);
+const CHART = {
+  moonLongitude: 269.8425,
+  signs: {
+    Sun: 2,
+    Moon: 9,
+    Mercury: 1,
+    Venus: 12,
+    Mars: 11,
+    Jupiter: 3,
+    Saturn: 10,
+    Rahu: 10,
+    Ketu: 4,
+    Ascendant: 4,
+  },
+  degrees: {
+    Sun: 0.39,
+    Moon: 29.84,
+    Mercury: 14.33,
+    Venus: 18.76,
+    Mars: 24.39,
+    Jupiter: 15.76,
+    Saturn: 1.53,
+    Rahu: 17.63,
+    Ketu: 17.63,
+    Ascendant: 9.87,
+  },
+};
+
+// Deepest level in a timeline.
+const depthOf = (periods) => (periods && periods.length ?
+  1 + depthOf(periods[0].sub_periods) :
+  0);
+
+const MAX_DEPTHS = {vimshottari: 5, yogini: 4, ashtottari: 4, chara: 3};
+
+describe("buildDashaTimeline depth", () => {
+  Object.keys(MAX_DEPTHS).forEach((system) => {
+    const max = MAX_DEPTHS[system];
+
+    it(`expands ${system} to depth ${max}`, () => {
+      const timeline = buildDashaTimeline(system, CHART, BIRTH_MS, {
+        depth: max,
+      });
+      assert.equal(timeline.depth, max);
+      assert.equal(depthOf(timeline.periods), max);
+    });
+
+    it(`rejects ${system} beyond depth ${max}`, () => {
+      assert.throws(
+          () => buildDashaTimeline(system, CHART, BIRTH_MS, {depth: max + 1}),
+          (err) => err.details.field === "depth" &&
+            err.details.reason === "out-of-range" &&
+            err.details.max === max,
+      );
+    });
+  });
+
+  it("rejects a depth below one", () => {
+    assert.throws(
+        () => buildDashaTimeline("vimshottari", CHART, BIRTH_MS, {depth: 0}),
+        (err) => err.details.reason === "out-of-range",
+    );
+  });
+});
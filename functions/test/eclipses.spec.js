@@ -0,0 +1,121 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SwissEphemerisFile,
+  EPHEMERIS_FILES,
+} = require("../ephemeris/SwissEphemerisFile");
+const {searchEclipses} = require("../astrology/eclipses");
+const {toJulianDay} = require("../astrology/math");
+
+const ephemerisCache = {
+  planet: new SwissEphemerisFile(EPHEMERIS_FILES.planet),
+  moon: new SwissEphemerisFile(EPHEMERIS_FILES.moon),
+};
+
+const DALLAS = {lat: 32.7767, lng: -96.797, altitude: 139};
+
+// Whether `actual` (ISO) is within `seconds` of `expected`.
+const assertNear = (actual, expected, seconds, label) => {
+  const difference = (Date.parse(actual) - Date.parse(expected)) / 1000;
+  assert.ok(
+      Math.abs(difference) <= seconds,
+      `${label}: ${actual} is ${difference} s from ${expected}`,
+  );
+};
+const assertClose = (actual, expected, tolerance, label) => assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${label}: ${actual} differs from ${expected}`,
+);
+
+// The 2024 eclipses as published by NASA and, for Dallas, timeanddate.com.
+// Lunar umbral contacts and magnitudes allow for Danjon's enlargement of
+// the shadow, where NASA's canon uses Chauvenet's.
+describe("searchEclipses in 2024", () => {
+  const eclipses = searchEclipses({
+    startJd: toJulianDay(new Date("2024-01-01")),
+    endJd: toJulianDay(new Date("2025-01-01")),
+    ayanamsha: "lahiri",
+    observer: DALLAS,
+  }, ephemerisCache);
+  const [march, april, september, october] = eclipses;
+
+  it("finds two solar and two lunar eclipses", () => {
+    assert.deepEqual(
+        eclipses.map((eclipse) => `${eclipse.kind} ${eclipse.type}`),
+        ["lunar penumbral", "solar total", "lunar partial", "solar annular"],
+    );
+  });
+
+  it("times the penumbral lunar eclipse of 25 March", () => {
+    assertNear(march.maximum, "2024-03-25T07:12:51Z", 30, "maximum");
+    assertNear(march.contacts.p1, "2024-03-25T04:53:15Z", 60, "P1");
+    assertNear(march.contacts.p4, "2024-03-25T09:32:33Z", 60, "P4");
+    assertClose(march.penumbral_magnitude, 0.9577, 0.005, "magnitude");
+    assert.equal(march.contacts.u1, null);
+  });
+
+  it("measures the total solar eclipse of 8 April", () => {
+    assertNear(april.maximum, "2024-04-08T18:17:20Z", 30, "maximum");
+    assertClose(april.magnitude, 1.0566, 0.001, "magnitude");
+    assertClose(april.gamma, 0.3431, 0.001, "gamma");
+    assert.equal(april.central, true);
+  });
+
+  it("times totality at Dallas on 8 April", () => {
+    const {local} = april;
+    assert.equal(local.type, "total");
+    assert.equal(local.visible, true);
+    assertNear(local.contacts.c1, "2024-04-08T17:23:20Z", 30, "C1");
+    assertNear(local.contacts.c2, "2024-04-08T18:40:43Z", 30, "C2");
+    assertNear(local.maximum, "2024-04-08T18:42:39Z", 30, "maximum");
+    assertNear(local.contacts.c3, "2024-04-08T18:44:35Z", 30, "C3");
+    assertNear(local.contacts.c4, "2024-04-08T20:02:36Z", 30, "C4");
+  });
+
+  it("times the partial lunar eclipse of 18 September", () => {
+    assertNear(september.maximum, "2024-09-18T02:44:18Z", 30, "maximum");
+    assertNear(september.contacts.p1, "2024-09-18T00:41:07Z", 60, "P1");
+    assertNear(september.contacts.u1, "2024-09-18T02:12:59Z", 60, "U1");
+    assertNear(september.contacts.u4, "2024-09-18T03:15:37Z", 60, "U4");
+    assertNear(september.contacts.p4, "2024-09-18T04:47:27Z", 60, "P4");
+    assertClose(september.magnitude, 0.0847, 0.005, "magnitude");
+    assert.equal(september.contacts.u2, null);
+  });
+
+  it("measures the annular solar eclipse of 2 October", () => {
+    assertNear(october.maximum, "2024-10-02T18:45:04Z", 30, "maximum");
+    assertClose(october.magnitude, 0.9326, 0.001, "magnitude");
+    assertClose(october.gamma, 0.3509, 0.001, "gamma");
+    assert.equal(october.central, true);
+    assert.equal(october.local.eclipsed, false);
+  });
+});
+
+// Type and magnitude of eclipses whose shadow axis misses the Earth, seen
+// from the surface point nearest it.
+describe("searchEclipses beyond the central path", () => {
+  const solarIn = (from, to) => searchEclipses({
+    startJd: toJulianDay(new Date(from)),
+    endJd: toJulianDay(new Date(to)),
+    ayanamsha: "lahiri",
+    kinds: "solar",
+  }, ephemerisCache);
+
+  [
+    {date: "2025-03-29", magnitude: 0.938},
+    {date: "2025-09-21", magnitude: 0.855},
+  ].forEach(({date, magnitude}) => {
+    it(`measures the partial eclipse of ${date}`, () => {
+      const [eclipse] = solarIn(`${date}T00:00Z`, `${date}T23:59Z`);
+      assert.equal(eclipse.type, "partial");
+      assert.equal(eclipse.central, false);
+      assertClose(eclipse.magnitude, magnitude, 0.001, "magnitude");
+    });
+  });
+
+  it("finds the non-central annular eclipse of 29 April 2014", () => {
+    const [eclipse] = solarIn("2014-04-29T00:00Z", "2014-04-29T23:59Z");
+    assert.equal(eclipse.type, "annular");
+    assert.equal(eclipse.central, false);
+  });
+});
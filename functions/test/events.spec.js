@@ -0,0 +1,135 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SwissEphemerisFile,
+  EPHEMERIS_FILES,
+  SEI_MOON,
+} = require("../ephemeris/SwissEphemerisFile");
+const {searchEvents, validateRange} = require("../astrology/events");
+const {getAyanamsha, getPlanetLongitude} = require("../astrology/calculations");
+const {toJulianDay} = require("../astrology/math");
+const {zodiac} = require("../astrology/constants");
+
+const {NAKSHATRA_NAMES} = zodiac;
+
+const ephemerisCache = {
+  planet: new SwissEphemerisFile(EPHEMERIS_FILES.planet),
+  moon: new SwissEphemerisFile(EPHEMERIS_FILES.moon),
+};
+
+const jdOf = (iso) => toJulianDay(new Date(iso));
+// Longitudes on the mean equinox of date.
+const TROPICAL = {epoch: 2451545, value: 0, rate: 0};
+const YEAR_2024 = {startJd: jdOf("2024-01-01"), endJd: jdOf("2025-01-01")};
+
+// Published instants are on the true equinox. Nutation's rate moves each to
+// the mean equinox by `nutation` seconds (IAU 1980 series, main terms);
+// for Mercury's stations the shift is under ten seconds and left out.
+// Near a station Jupiter's speed changes so slowly that a two-hundredth of
+// an arcsecond a day moves it by a minute, so it is held to two.
+const REFERENCES = [
+  {body: "Sun", to: "Aries", published: "2024-03-20T03:06Z", nutation: -110},
+  {body: "Sun", to: "Cancer", published: "2024-06-20T20:51Z", nutation: -89},
+  {body: "Sun", to: "Libra", published: "2024-09-22T12:44Z", nutation: -56},
+  {
+    body: "Sun",
+    to: "Capricorn",
+    published: "2024-12-21T09:20Z",
+    nutation: -10,
+  },
+  {body: "Mercury", to: "retrograde", published: "2024-04-01T22:14Z"},
+  {body: "Mercury", to: "direct", published: "2024-04-25T12:54Z"},
+  {body: "Mercury", to: "retrograde", published: "2024-08-05T04:56Z"},
+  {body: "Mercury", to: "direct", published: "2024-08-28T21:14Z"},
+  {body: "Mercury", to: "retrograde", published: "2024-11-26T02:42Z"},
+  {body: "Mercury", to: "direct", published: "2024-12-15T20:56Z"},
+  {
+    body: "Jupiter",
+    to: "retrograde",
+    published: "2024-10-09T07:05Z",
+    nutation: -592,
+    tolerance: 120,
+  },
+];
+
+describe("searchEvents", () => {
+  const events = searchEvents({
+    ...YEAR_2024,
+    ayanamsha: TROPICAL,
+    bodies: ["Sun", "Mercury", "Jupiter"],
+    events: ["sign", "station"],
+  }, ephemerisCache);
+
+  REFERENCES.forEach((reference) => {
+    const {body, to, published, nutation = 0, tolerance = 60} = reference;
+    it(`times ${body} ${to} near ${published}`, () => {
+      const event = events.find((entry) => entry.body === body &&
+        (entry.to === to || entry.station === to) &&
+        Math.abs(Date.parse(entry.time) - Date.parse(published)) < 864e5);
+      assert.ok(event, `no ${body} ${to} event near ${published}`);
+      const expected = Date.parse(published) + nutation * 1000;
+      const seconds = (Date.parse(event.time) - expected) / 1000;
+      assert.ok(
+          Math.abs(seconds) <= tolerance,
+          `${body} ${to} at ${event.time} is ${seconds} s from reference`,
+      );
+    });
+  });
+
+  it("resolves Moon nakshatra ingresses to within a minute", () => {
+    const span = 360 / 27;
+    const nakshatra = (jd) => Math.floor(
+        (((getPlanetLongitude(SEI_MOON, jd, ephemerisCache) -
+          getAyanamsha(jd, "lahiri").value) % 360) + 360) % 360 / span,
+    );
+    const ingresses = searchEvents({
+      startJd: jdOf("2024-01-01"),
+      endJd: jdOf("2024-01-15"),
+      ayanamsha: "lahiri",
+      bodies: ["Moon"],
+      events: ["nakshatra"],
+    }, ephemerisCache);
+    assert.ok(ingresses.length >= 14);
+    ingresses.forEach((event) => {
+      const jd = jdOf(event.time);
+      assert.equal(NAKSHATRA_NAMES[nakshatra(jd - 30 / 86400)], event.from);
+      assert.equal(NAKSHATRA_NAMES[nakshatra(jd + 30 / 86400)], event.to);
+    });
+  });
+});
+
+describe("validateRange", () => {
+  const fileStart = Math.max(
+      ephemerisCache.planet.fileStart,
+      ephemerisCache.moon.fileStart,
+  );
+  const fileEnd = Math.min(
+      ephemerisCache.planet.fileEnd,
+      ephemerisCache.moon.fileEnd,
+  );
+  const rejects = (startJd, endJd, field, reason) => assert.throws(
+      () => validateRange(startJd, endJd, ephemerisCache),
+      (err) => err.details.field === field && err.details.reason === reason,
+  );
+
+  it("accepts a year within the files", () => {
+    validateRange(YEAR_2024.startJd, YEAR_2024.endJd, ephemerisCache);
+  });
+
+  it("rejects an end before the start", () => {
+    rejects(YEAR_2024.endJd, YEAR_2024.startJd, "end", "invalid-range");
+  });
+
+  it("rejects a span over ten years", () => {
+    rejects(YEAR_2024.startJd, YEAR_2024.startJd + 3661, "end",
+        "range-too-long");
+  });
+
+  it("rejects a start before the files", () => {
+    rejects(fileStart - 10, fileStart + 10, "start", "outside-ephemeris");
+  });
+
+  it("rejects an end after the files", () => {
+    rejects(fileEnd - 10, fileEnd + 10, "end", "outside-ephemeris");
+  });
+});
@@ -0,0 +1,178 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SwissEphemerisFile,
+  EPHEMERIS_FILES,
+} = require("../ephemeris/SwissEphemerisFile");
+const {
+  normalizeDegrees,
+  placidusCusps,
+  toJulianDay,
+} = require("../astrology/math");
+const {SUB_TABLE, buildKpChart} = require("../astrology/kp");
+const {getBirthChart} = require("../index");
+
+const ephemerisCache = {
+  planet: new SwissEphemerisFile(EPHEMERIS_FILES.planet),
+  moon: new SwissEphemerisFile(EPHEMERIS_FILES.moon),
+};
+
+const RAD = Math.PI / 180;
+const EPS = 23.4392911 * RAD;
+
+// Signed difference a - b in degrees, in (-180, 180].
+const angleBetween = (a, b) => 180 - normalizeDegrees(180 - (a - b));
+
+// Right ascension and diurnal semi-arc of ecliptic longitude `lambda`.
+const equatorialPlace = (lambda, lat) => {
+  const ra = Math.atan2(
+      Math.sin(lambda * RAD) * Math.cos(EPS),
+      Math.cos(lambda * RAD),
+  ) / RAD;
+  const dec = Math.asin(Math.sin(lambda * RAD) * Math.sin(EPS));
+  const arc = Math.acos(-Math.tan(lat * RAD) * Math.tan(dec)) / RAD;
+  return {ra, arc};
+};
+
+describe("placidusCusps", () => {
+  // Raphael's Tables of Houses for London (51°32'N) at sidereal time 0h,
+  // obliquity 23°27': houses 10, 11, 12, 1, 2 and 3 at 0 Aries, 9 Taurus,
+  // 22 Gemini, 26°36' Cancer, 12 Leo and 3 Virgo. Intermediate cusps are
+  // tabulated to the whole degree, not always rounded.
+  it("matches a table of houses", () => {
+    const cusps = placidusCusps(0, 23.45 * RAD, 51 + 32 / 60);
+    const table = {
+      10: 0,
+      11: 30 + 9,
+      12: 60 + 22,
+      1: 90 + 26 + 36 / 60,
+      2: 120 + 12,
+      3: 150 + 3,
+    };
+    Object.entries(table).forEach(([house, longitude]) => {
+      const tolerance = house === "1" || house === "10" ? 2 / 60 : 1;
+      assert.ok(
+          Math.abs(angleBetween(cusps[house - 1], longitude)) <= tolerance,
+          `house ${house}: ${cusps[house - 1]}`,
+      );
+    });
+  });
+
+  it("trisects the semi-arcs of the intermediate cusps", () => {
+    // Hour angle east of the meridian, as a share of the semi-arc.
+    const shares = {11: 1 / 3, 12: 2 / 3, 2: 4 / 3, 3: 5 / 3};
+    [-60, -33.9, 0, 28.6, 51.5, 66].forEach((lat) => {
+      for (let lst = 0; lst < 360; lst += 30) {
+        const cusps = placidusCusps(lst, EPS, lat);
+        Object.entries(shares).forEach(([house, share]) => {
+          const {ra, arc} = equatorialPlace(cusps[house - 1], lat);
+          // Below the horizon the nocturnal semi-arc, 180 - arc, applies.
+          const expected = share <= 1 ?
+            share * arc :
+            arc + (share - 1) * (180 - arc);
+          assert.ok(
+              Math.abs(angleBetween(ra, lst) - expected) < 1e-6,
+              `${lat}/${lst} house ${house}`,
+          );
+        });
+      }
+    });
+  });
+
+  it("puts opposite cusps 180 degrees apart", () => {
+    const cusps = placidusCusps(123.4, EPS, 40);
+    for (let house = 0; house < 6; house += 1) {
+      assert.ok(
+          Math.abs(angleBetween(cusps[house + 6], cusps[house] + 180)) < 1e-9,
+      );
+    }
+  });
+
+  it("is undefined where a cusp's degree never sets", () => {
+    assert.equal(placidusCusps(0, EPS, 70), null);
+    assert.equal(placidusCusps(0, EPS, -70), null);
+  });
+});
+
+describe("buildKpChart", () => {
+  it("rejects a latitude where Placidus cusps are undefined", () => {
+    assert.throws(
+        () => buildKpChart({
+          jd: toJulianDay(new Date("1990-05-15T10:30Z")),
+          lat: 70,
+          lng: 18.9,
+          ayanamsha: 23.7,
+          nodeType: "mean",
+          query: 1,
+        }, ephemerisCache),
+        (err) => err.details.field === "lat" &&
+          err.details.reason === "placidus-undefined",
+    );
+  });
+
+  it("surfaces the error from the birth chart callable", async () => {
+    await assert.rejects(
+        getBirthChart.run({data: {
+          dob: "1990-05-15",
+          time: "10:30",
+          tz: "UTC",
+          lat: 70,
+          lng: 18.9,
+          system: "kp",
+        }}),
+        (err) => {
+          assert.equal(err.code, "invalid-argument");
+          assert.deepEqual(
+              err.details,
+              {field: "lat", reason: "placidus-undefined"},
+          );
+          return true;
+        },
+    );
+  });
+});
+
+describe("SUB_TABLE", () => {
+  const dms = (d, m, s) => d + m / 60 + s / 3600;
+
+  it("has 249 contiguous rows covering the zodiac", () => {
+    assert.equal(SUB_TABLE.length, 249);
+    assert.equal(SUB_TABLE[0].start, 0);
+    assert.equal(SUB_TABLE[248].end, 360);
+    SUB_TABLE.forEach((row, index) => {
+      assert.equal(row.number, index + 1);
+      assert.ok(row.end > row.start);
+      if (index) assert.equal(row.start, SUB_TABLE[index - 1].end);
+    });
+  });
+
+  it("matches the first and last rows of the KP table", () => {
+    const [first, second] = SUB_TABLE;
+    assert.deepEqual(
+        [first.sign, first.sign_lord, first.star_lord, first.sub_lord],
+        ["Aries", "Mars", "Ketu", "Ketu"],
+    );
+    assert.ok(Math.abs(first.end - dms(0, 46, 40)) < 1e-9);
+    assert.deepEqual([second.sub_lord, second.end], ["Venus", 3]);
+
+    const last = SUB_TABLE[248];
+    assert.deepEqual(
+        [last.sign, last.sign_lord, last.star_lord, last.sub_lord],
+        ["Pisces", "Jupiter", "Mercury", "Saturn"],
+    );
+    assert.ok(Math.abs(last.start - dms(357, 53, 20)) < 1e-9);
+  });
+
+  it("splits subs that cross a sign boundary", () => {
+    // Krittika's Rahu sub runs from 29°13'20" Aries to 1°13'20" Taurus.
+    const [aries, taurus] = SUB_TABLE.filter((row) =>
+      row.star_lord === "Sun" && row.sub_lord === "Rahu" && row.start < 40,
+    );
+    assert.deepEqual(
+        [aries.sign, aries.end, taurus.sign, taurus.start],
+        ["Aries", 30, "Taurus", 30],
+    );
+    assert.ok(Math.abs(aries.start - dms(29, 13, 20)) < 1e-9);
+    assert.ok(Math.abs(taurus.end - dms(31, 13, 20)) < 1e-9);
+  });
+});
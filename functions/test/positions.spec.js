@@ -0,0 +1,111 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SwissEphemerisFile,
+  EPHEMERIS_FILES,
+  SEI_SUN,
+  SEI_MOON,
+} = require("../ephemeris/SwissEphemerisFile");
+const {getPlanetLongitude} = require("../astrology/calculations");
+const {deltaT} = require("../astrology/math");
+
+const ephemerisCache = {
+  planet: new SwissEphemerisFile(EPHEMERIS_FILES.planet),
+  moon: new SwissEphemerisFile(EPHEMERIS_FILES.moon),
+};
+
+const J2000 = 2451545.0;
+// UT Julian Day of a dynamical-time instant.
+const fromTerrestrialTime = (jde) => jde - deltaT(jde) / 86400;
+const yearJd = (year) => J2000 + (year - 2000) * 365.25;
+
+// Apparent geocentric longitudes on the mean equinox of date: light-time
+// and annual aberration applied, nutation left out. Meeus's apparent
+// longitudes (Astronomical Algorithms, examples 25.b and 47.a) are reduced
+// by the nutation in longitude given there.
+const LONGITUDES = [
+  {
+    body: "Sun",
+    ipli: SEI_SUN,
+    jd: J2000,
+    expected: 280.3728,
+    tolerance: 1e-4,
+  },
+  {
+    body: "Moon",
+    ipli: SEI_MOON,
+    jd: J2000,
+    expected: 223.3276,
+    tolerance: 1e-4,
+  },
+  {
+    body: "Sun",
+    ipli: SEI_SUN,
+    jd: fromTerrestrialTime(2448908.5),
+    expected: 199.90599 - 15.908 / 3600,
+    tolerance: 1e-4,
+  },
+  {
+    body: "Moon",
+    ipli: SEI_MOON,
+    jd: fromTerrestrialTime(2448724.5),
+    expected: 133.167265 - 0.00461,
+    tolerance: 3e-3,
+  },
+];
+
+describe("getPlanetLongitude", () => {
+  LONGITUDES.forEach(({body, ipli, jd, expected, tolerance}) => {
+    it(`places the ${body} at JD ${jd.toFixed(4)}`, () => {
+      const value = getPlanetLongitude(ipli, jd, ephemerisCache);
+      assert.ok(
+          Math.abs(value - expected) <= tolerance,
+          `${body}: ${value} differs from ${expected} by more than ` +
+            `${tolerance}`,
+      );
+    });
+  });
+});
+
+// Delta T in seconds from the NASA eclipse canon's table, one year in each
+// branch of the Espenak-Meeus polynomials; the later years are its
+// extrapolation.
+const DELTA_T = [
+  {year: -1000, expected: 25400, tolerance: 50},
+  {year: 0, expected: 10580, tolerance: 5},
+  {year: 1000, expected: 1570, tolerance: 5},
+  {year: 1650, expected: 50, tolerance: 1},
+  {year: 1750, expected: 13, tolerance: 1},
+  {year: 1850, expected: 7, tolerance: 1},
+  {year: 1900, expected: -2.7, tolerance: 0.5},
+  {year: 1920, expected: 21.2, tolerance: 0.5},
+  {year: 1950, expected: 29.1, tolerance: 0.5},
+  {year: 1975, expected: 45.5, tolerance: 0.5},
+  {year: 2000, expected: 63.8, tolerance: 0.5},
+  {year: 2010, expected: 66.7, tolerance: 0.5},
+  {year: 2100, expected: 203, tolerance: 1},
+  {year: 2200, expected: 442, tolerance: 1},
+];
+const BRANCH_YEARS = [
+  -500, 500, 1600, 1700, 1800, 1860, 1900, 1920, 1941, 1961, 1986, 2005,
+  2050, 2150,
+];
+
+describe("deltaT", () => {
+  DELTA_T.forEach(({year, expected, tolerance}) => {
+    it(`matches the table in ${year}`, () => {
+      const value = deltaT(yearJd(year));
+      assert.ok(
+          Math.abs(value - expected) <= tolerance,
+          `${year}: ${value} differs from ${expected}`,
+      );
+    });
+  });
+
+  it("joins its branches within half a second", () => {
+    BRANCH_YEARS.forEach((year) => {
+      const step = deltaT(yearJd(year) + 1e-6) - deltaT(yearJd(year) - 1e-6);
+      assert.ok(Math.abs(step) < 0.5, `${year}: step of ${step}`);
+    });
+  });
+});
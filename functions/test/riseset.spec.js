@@ -0,0 +1,125 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SwissEphemerisFile,
+  EPHEMERIS_FILES,
+  SEI_SUN,
+} = require("../ephemeris/SwissEphemerisFile");
+const {
+  findRiseSetEvents,
+  getRiseTransitSet,
+} = require("../astrology/riseset");
+const {toJulianDay, fromJulianDay} = require("../astrology/math");
+
+const ephemerisCache = {
+  planet: new SwissEphemerisFile(EPHEMERIS_FILES.planet),
+  moon: new SwissEphemerisFile(EPHEMERIS_FILES.moon),
+};
+
+const LONDON = {lat: 51.5074, lng: -0.1278, altitude: 0};
+const LAT_70 = {lat: 70, lng: 0};
+
+const sunOn = (date, observer, options) => getRiseTransitSet(
+    SEI_SUN,
+    toJulianDay(new Date(date)),
+    observer,
+    ephemerisCache,
+    options,
+);
+
+// Whether the JD `actual` is within `seconds` of the ISO instant `expected`.
+const assertNear = (actual, expected, seconds, label) => {
+  const difference =
+    (fromJulianDay(actual).getTime() - Date.parse(expected)) / 1000;
+  assert.ok(
+      Math.abs(difference) <= seconds,
+      `${label}: ${fromJulianDay(actual).toISOString()} is ${difference} s ` +
+      `from ${expected}`,
+  );
+};
+
+describe("getRiseTransitSet", () => {
+  // timeanddate.com gives 04:43 and 21:21 BST for London on the solstice;
+  // its times are rounded to the minute.
+  it("matches the published London sunrise and sunset", () => {
+    const sun = sunOn("2024-06-21T00:00Z", LONDON);
+    assert.equal(sun.status, "normal");
+    assertNear(sun.rise, "2024-06-21T03:43:00Z", 60, "rise");
+    assertNear(sun.set, "2024-06-21T20:21:00Z", 60, "set");
+    assertNear(sun.transit, "2024-06-21T12:02:26Z", 30, "transit");
+  });
+
+  it("reports the midnight sun as circumpolar", () => {
+    const sun = sunOn("2024-06-21T00:00Z", LAT_70);
+    assert.equal(sun.status, "circumpolar");
+    assert.equal(sun.rise, null);
+    assert.equal(sun.set, null);
+    assert.notEqual(sun.transit, null);
+  });
+
+  it("reports the polar night as never_rises", () => {
+    const sun = sunOn("2024-12-21T00:00Z", LAT_70);
+    assert.equal(sun.status, "never_rises");
+    assert.equal(sun.rise, null);
+    assert.equal(sun.set, null);
+    assert.notEqual(sun.transit, null);
+  });
+
+  it("mirrors the seasons in the southern hemisphere", () => {
+    const sun = sunOn("2024-06-21T00:00Z", {lat: -70, lng: 0});
+    assert.equal(sun.status, "never_rises");
+  });
+
+  it("rises later and sets earlier for lower points of the disc", () => {
+    const upper = sunOn("2024-06-21T00:00Z", LONDON);
+    const center = sunOn("2024-06-21T00:00Z", LONDON, {disc: "center"});
+    const lower = sunOn("2024-06-21T00:00Z", LONDON, {disc: "lower"});
+    assert.ok(upper.rise < center.rise && center.rise < lower.rise);
+    assert.ok(upper.set > center.set && center.set > lower.set);
+    // Roughly the Sun's semi-diameter, which takes over two minutes to clear
+    // the horizon at London in midsummer.
+    const minutes = (center.rise - upper.rise) * 1440;
+    assert.ok(minutes > 2 && minutes < 2.5, `${minutes} min`);
+    assert.equal(center.transit, upper.transit);
+  });
+
+  it("rises later without refraction", () => {
+    const refracted = sunOn("2024-06-21T00:00Z", LONDON);
+    const geometric = sunOn("2024-06-21T00:00Z", LONDON, {refraction: false});
+    const minutes = (geometric.rise - refracted.rise) * 1440;
+    assert.ok(minutes > 4 && minutes < 5, `${minutes} min`);
+    assert.ok(geometric.set < refracted.set);
+  });
+
+  it("rejects an unknown disc point", () => {
+    assert.throws(
+        () => sunOn("2024-06-21T00:00Z", LONDON, {disc: "limb"}),
+        (err) => err.details.field === "disc" &&
+          err.details.reason === "unknown-disc",
+    );
+  });
+});
+
+describe("findRiseSetEvents", () => {
+  it("finds only transits during the midnight sun", () => {
+    const startJd = toJulianDay(new Date("2024-06-18T00:00Z"));
+    const events = findRiseSetEvents(
+        SEI_SUN, startJd, startJd + 7, LAT_70, ephemerisCache,
+    );
+    assert.deepEqual(
+        events.map((event) => event.event),
+        Array(7).fill("transit"),
+    );
+  });
+
+  it("alternates rise, transit and set at mid-latitude", () => {
+    const startJd = toJulianDay(new Date("2024-06-21T00:00Z"));
+    const events = findRiseSetEvents(
+        SEI_SUN, startJd, startJd + 2, LONDON, ephemerisCache,
+    );
+    assert.deepEqual(
+        events.map((event) => event.event),
+        ["rise", "transit", "set", "rise", "transit", "set"],
+    );
+  });
+});
@@ -0,0 +1,109 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {resolveLocalTime, formatOffset} = require("../astrology/timezone");
+
+const utcOf = (iso) => Date.parse(iso);
+const rejects = (args, field, reason) => {
+  let details;
+  assert.throws(() => resolveLocalTime(...args), (err) => {
+    details = err.details;
+    return details.field === field && details.reason === reason;
+  });
+  return details;
+};
+
+describe("resolveLocalTime", () => {
+  it("takes the time as UTC without a zone", () => {
+    assert.deepEqual(resolveLocalTime("1990-05-15", "10:30"), {
+      utcMs: utcOf("1990-05-15T10:30Z"),
+      offsetMinutes: 0,
+      zone: null,
+    });
+  });
+
+  [5.5, "5.5", "+05:30"].forEach((tz) => {
+    it(`reads the offset ${JSON.stringify(tz)}`, () => {
+      assert.deepEqual(resolveLocalTime("1990-05-15", "10:30", tz), {
+        utcMs: utcOf("1990-05-15T05:00Z"),
+        offsetMinutes: 330,
+        zone: null,
+      });
+    });
+  });
+
+  it("reads a negative offset in hours and minutes", () => {
+    const {utcMs, offsetMinutes} = resolveLocalTime(
+        "1990-05-15",
+        "10:30",
+        "-03:30",
+    );
+    assert.equal(utcMs, utcOf("1990-05-15T14:00Z"));
+    assert.equal(offsetMinutes, -210);
+  });
+
+  ["15", "+14:30", "+05:60"].forEach((tz) => {
+    it(`rejects the offset ${tz}`, () => {
+      rejects(["1990-05-15", "10:30", tz], "tz", "out-of-range");
+    });
+  });
+
+  it("applies summer time in a zone", () => {
+    const resolved = resolveLocalTime("2024-07-01", "12:00",
+        "America/New_York");
+    assert.equal(resolved.utcMs, utcOf("2024-07-01T16:00Z"));
+    assert.equal(formatOffset(resolved.offsetMinutes), "-04:00");
+    assert.equal(resolved.zone, "America/New_York");
+  });
+
+  it("applies historical war time", () => {
+    const {offsetMinutes} = resolveLocalTime("1943-06-01", "12:00",
+        "Asia/Kolkata");
+    assert.equal(formatOffset(offsetMinutes), "+06:30");
+  });
+
+  it("rejects a time in the spring-forward gap", () => {
+    const details = rejects(
+        ["2024-03-10", "02:30", "America/New_York"],
+        "time",
+        "nonexistent-local-time",
+    );
+    assert.deepEqual(details.offsets, ["-05:00", "-04:00"]);
+  });
+
+  it("rejects a time in the fall-back overlap with both readings", () => {
+    const details = rejects(
+        ["2024-11-03", "01:30", "America/New_York"],
+        "time",
+        "ambiguous-local-time",
+    );
+    assert.deepEqual(details.candidates, [
+      {utc: "2024-11-03T05:30:00.000Z", offset: "-04:00"},
+      {utc: "2024-11-03T06:30:00.000Z", offset: "-05:00"},
+    ]);
+  });
+
+  it("resolves the hours either side of a transition", () => {
+    [
+      ["2024-03-10", "01:59", "2024-03-10T06:59Z"],
+      ["2024-03-10", "03:00", "2024-03-10T07:00Z"],
+      ["2024-11-03", "00:59", "2024-11-03T04:59Z"],
+      ["2024-11-03", "02:00", "2024-11-03T07:00Z"],
+    ].forEach(([dob, time, utc]) => {
+      assert.equal(
+          resolveLocalTime(dob, time, "America/New_York").utcMs,
+          utcOf(utc),
+      );
+    });
+  });
+
+  it("rejects an unknown zone", () => {
+    rejects(["1990-05-15", "10:30", "Mars/Olympus"], "tz",
+        "unknown-time-zone");
+  });
+
+  it("rejects malformed and impossible dates and times", () => {
+    rejects(["15/05/1990", "10:30"], "dob", "invalid-format");
+    rejects(["1990-05-15", "10.30"], "time", "invalid-format");
+    rejects(["1990-02-30", "10:30"], "dob", "out-of-range");
+  });
+});
@@ -0,0 +1,58 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {VARGA_NAMES, getVargaSign} = require("../astrology/varga");
+
+// Sidereal longitude from a sign number and degrees, minutes and seconds.
+const at = (sign, deg, min, sec) =>
+  (sign - 1) * 30 + deg + min / 60 + sec / 3600;
+
+// Reference chart: 15 May 1990, 10:30 IST, New Delhi (28.6 N, 77.2 E),
+// Lahiri ayanamsha, mean nodes.
+const CHART = {
+  Sun: at(2, 0, 23, 21),
+  Moon: at(9, 29, 50, 33),
+  Mercury: at(1, 14, 19, 30),
+  Venus: at(12, 18, 45, 36),
+  Mars: at(11, 24, 23, 29),
+  Jupiter: at(3, 15, 45, 39),
+  Saturn: at(10, 1, 31, 43),
+  Rahu: at(10, 17, 37, 44),
+  Ketu: at(4, 17, 37, 44),
+  Ascendant: at(4, 9, 52, 19),
+};
+
+// Expected varga signs (1 = Aries) in the order of CHART, worked by hand
+// from the Parashari rules of BPHS.
+const EXPECTED = {
+  D1: [2, 9, 1, 12, 11, 3, 10, 10, 4, 4],
+  D2: [4, 4, 5, 5, 4, 4, 4, 5, 5, 4],
+  D3: [2, 5, 5, 4, 7, 7, 10, 2, 8, 4],
+  D4: [2, 6, 4, 6, 8, 9, 10, 4, 10, 7],
+  D7: [8, 3, 4, 10, 4, 6, 4, 8, 2, 12],
+  D9: [10, 9, 5, 9, 2, 11, 10, 3, 9, 6],
+  D10: [10, 6, 5, 2, 7, 8, 6, 11, 5, 3],
+  D12: [2, 8, 6, 7, 8, 9, 10, 5, 11, 7],
+  D16: [5, 12, 8, 7, 6, 5, 1, 10, 10, 6],
+  D20: [9, 12, 10, 5, 1, 3, 2, 12, 12, 7],
+  D24: [4, 4, 4, 7, 12, 5, 5, 6, 6, 11],
+  D27: [4, 3, 1, 2, 4, 9, 5, 7, 1, 6],
+  D30: [2, 7, 9, 12, 3, 9, 2, 12, 12, 6],
+  D40: [7, 4, 8, 8, 9, 10, 9, 6, 6, 8],
+  D45: [5, 5, 10, 1, 5, 8, 3, 3, 3, 3],
+  D60: [2, 8, 5, 1, 11, 10, 1, 9, 3, 11],
+};
+
+describe("getVargaSign", () => {
+  it("covers every varga", () => {
+    assert.deepEqual(Object.keys(EXPECTED), VARGA_NAMES);
+  });
+
+  VARGA_NAMES.forEach((varga) => {
+    it(`maps the reference chart in ${varga}`, () => {
+      const actual = Object.keys(CHART).map(
+          (body) => getVargaSign(varga, CHART[body]),
+      );
+      assert.deepEqual(actual, EXPECTED[varga]);
+    });
+  });
+});